@@ -0,0 +1,90 @@
+import express from 'express';
+import cors from 'cors';
+import rateLimit from 'express-rate-limit';
+import generateRoutes from './routes/generate.js';
+import generatePlusRoutes from './routes/generate.plus.js';
+import generateNewContRoutes from './routes/generate.newcont.js';
+import generateContinuationRoutes from './routes/generateContinuation.js';
+import generateVideoRoutes from './routes/generateVideo.js';
+import batchRoutes from './routes/batches.js';
+import eventRoutes from './routes/events.js';
+import safetyCheckRoutes from './routes/safetyCheck.js';
+import previewPromptRoutes from './routes/previewPrompt.js';
+import estimateRoutes from './routes/estimate.js';
+import segmentRoutes from './routes/segments.js';
+
+// Single Express app shared by the Vercel function (api/index.js)
+// and the standalone server (server.js)
+export function createApp() {
+  const app = express();
+
+  // Vercel and most hosts sit behind one proxy hop; needed for per-IP limits
+  app.set('trust proxy', 1);
+
+  app.use(cors());
+  app.use(express.json({ limit: '10mb' }));
+
+  app.get(['/api/health', '/health'], (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Rate limiting: requests that spend OpenAI or Veo quota get a tight limit;
+  // status polling, downloads, SSE and other reads only a generous one, as a
+  // single UI session polls a batch many times a minute
+  const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000;
+  const quotaLimiter = rateLimit({
+    windowMs,
+    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 10
+  });
+  const readLimiter = rateLimit({
+    windowMs,
+    max: parseInt(process.env.RATE_LIMIT_READ_MAX_REQUESTS, 10) || 600
+  });
+
+  app.post([
+    '/api/generate',
+    '/api/generate-plus',
+    '/api/generate-new-cont',
+    '/api/generate-continuation',
+    '/api/generate-videos',
+    '/api/generate-videos-plus',
+    '/api/generate-videos-veo3',
+    '/api/test-veo3',
+    '/api/video-status/:videoId(*)/resubmit',
+    '/api/batches/:batchId/retry',
+    '/api/segments/regenerate'
+  ], quotaLimiter);
+  app.use('/api', readLimiter);
+
+  app.use('/api', generateRoutes);
+  app.use('/api', generatePlusRoutes);
+  app.use('/api', generateNewContRoutes);
+  app.use('/api', generateContinuationRoutes);
+  app.use('/api', generateVideoRoutes);
+  app.use('/api', batchRoutes);
+  app.use('/api', eventRoutes);
+  app.use('/api', safetyCheckRoutes);
+  app.use('/api', previewPromptRoutes);
+  app.use('/api', estimateRoutes);
+  app.use('/api', segmentRoutes);
+
+  app.use('/api', (req, res) => {
+    res.status(404).json({
+      error: 'Not found',
+      message: `No endpoint for ${req.method} ${req.originalUrl}`
+    });
+  });
+
+  // Malformed JSON bodies and other errors thrown before a route handles them
+  app.use((err, req, res, next) => {
+    console.error('[API] Unhandled error:', err);
+    res.status(err.status || 500).json({
+      error: err.status === 400 ? 'Invalid request body' : 'Internal server error',
+      message: err.message
+    });
+  });
+
+  return app;
+}
+
+export default createApp;
@@ -0,0 +1,79 @@
+import express from 'express';
+import Veo3Service from '../services/veo3Service.js';
+
+const router = express.Router();
+
+// Aggregated status of every segment video in one generation run
+router.get('/batches/:batchId', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    
+    const batch = await Veo3Service.getBatch(batchId);
+    
+    res.json({
+      success: true,
+      ...batch
+    });
+    
+  } catch (error) {
+    console.error('[API] Batch status error:', error);
+    res.status(error.status || 500).json({ 
+      error: 'Failed to get batch status',
+      code: error.code,
+      message: error.message 
+    });
+  }
+});
+
+// Re-submit the failed segments of a batch (optionally only some of them)
+router.post('/batches/:batchId/retry', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const { segmentIndexes } = req.body || {};
+    
+    if (segmentIndexes !== undefined && !Array.isArray(segmentIndexes)) {
+      return res.status(400).json({ 
+        error: 'segmentIndexes must be an array of 1-based segment numbers' 
+      });
+    }
+    
+    const batch = await Veo3Service.retryBatch(batchId, { segmentIndexes });
+    
+    res.json({
+      success: true,
+      ...batch
+    });
+    
+  } catch (error) {
+    console.error('[API] Batch retry error:', error);
+    res.status(error.status || 500).json({ 
+      error: 'Failed to retry batch',
+      code: error.code,
+      message: error.message 
+    });
+  }
+});
+
+// Cancel every unfinished segment of a batch; sequential runs stop submitting
+router.post('/batches/:batchId/cancel', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    
+    const batch = await Veo3Service.cancelBatch(batchId);
+    
+    res.json({
+      success: true,
+      ...batch
+    });
+  
+  } catch (error) {
+    console.error('[API] Batch cancel error:', error);
+    res.status(error.status || 500).json({ 
+      error: 'Failed to cancel batch',
+      code: error.code,
+      message: error.message 
+    });
+  }
+});
+
+export default router;
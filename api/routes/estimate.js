@@ -0,0 +1,65 @@
+import express from 'express';
+import { estimateScript } from '../services/scriptEstimator.js';
+
+const router = express.Router();
+
+// Dry run of /generate, /generate-plus or /generate-new-cont: how the script
+// will be split and what the run will cost, before any model is called
+router.post('/estimate', async (req, res) => {
+  try {
+    const {
+      script,
+      // Which generation endpoint the script is meant for
+      endpoint = 'generate',
+      continuationMode = false,
+      voiceType,
+      energyLevel,
+      settingMode = 'single',
+      room,
+      locations = [],
+      cameraStyle,
+      generationMode,
+      language,
+      // Same as /generate-videos-veo3: durationSeconds and sampleCount set the Veo seconds
+      videoParameters,
+      videoQuality = 'standard'
+    } = req.body;
+
+    if (typeof script !== 'string' || script.trim().length < 50) {
+      return res.status(400).json({
+        error: 'Script must be at least 50 characters long'
+      });
+    }
+
+    const estimate = estimateScript({
+      script: script.trim(),
+      continuationMode,
+      voiceType,
+      energyLevel,
+      settingMode,
+      room,
+      locations,
+      cameraStyle,
+      generationMode,
+      // Only /generate takes a language; the other endpoints split as English
+      language: endpoint === 'generate' ? language : undefined
+    }, { endpoint, videoParameters, videoQuality });
+
+    res.json({
+      success: true,
+      endpoint,
+      totalSegments: estimate.segments.length,
+      ...estimate
+    });
+
+  } catch (error) {
+    console.error('[API] Estimate error:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to estimate script',
+      code: error.code,
+      message: error.message
+    });
+  }
+});
+
+export default router;
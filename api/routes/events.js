@@ -0,0 +1,121 @@
+import express from 'express';
+import Veo3Service from '../services/veo3Service.js';
+
+const router = express.Router();
+
+const KEEP_ALIVE_MS = 15000;
+
+// Server-Sent Events response; repeated identical status payloads are skipped
+function openEventStream(req, res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  let closed = false;
+  let lastStatus = null;
+  const cleanups = [];
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+  cleanups.push(() => clearInterval(keepAlive));
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    cleanups.forEach(cleanup => cleanup());
+    res.end();
+  };
+  req.on('close', close);
+
+  return {
+    isClosed: () => closed,
+    onClose: cleanup => cleanups.push(cleanup),
+    close,
+    send(event, data) {
+      if (closed) return;
+      const payload = JSON.stringify(data);
+      if (event === 'status') {
+        if (payload === lastStatus) return;
+        lastStatus = payload;
+      }
+      res.write(`event: ${event}\ndata: ${payload}\n\n`);
+    }
+  };
+}
+
+// Poll on the service's backoff schedule so the stream also works where the
+// in-process background poller is not running (e.g. another serverless instance)
+function pollWhileOpen(stream, check) {
+  let attempt = 0;
+  let timer = null;
+
+  const tick = async () => {
+    try {
+      await check();
+    } catch (error) {
+      stream.send('error', { code: error.code, message: error.message });
+      stream.close();
+    }
+    if (!stream.isClosed()) {
+      timer = setTimeout(tick, Veo3Service.getPollDelay(attempt++));
+    }
+  };
+
+  stream.onClose(() => clearTimeout(timer));
+  tick();
+}
+
+// Live status of one video: `status` events, then `done` with the final status
+router.get('/video-events/:videoId(*)', (req, res) => {
+  const { videoId } = req.params;
+  const stream = openEventStream(req, res);
+
+  const publish = (status) => {
+    stream.send('status', { videoId, ...status });
+    if (Veo3Service.isFinishedStatus(status.status)) {
+      stream.send('done', { videoId, ...status });
+      stream.close();
+    }
+  };
+
+  const listener = (update) => {
+    if (update.videoId === videoId) publish(update.status);
+  };
+  Veo3Service.events.on('video', listener);
+  stream.onClose(() => Veo3Service.events.off('video', listener));
+
+  pollWhileOpen(stream, async () => publish(await Veo3Service.getVideoStatus(videoId)));
+});
+
+// Live aggregated status of a batch
+router.get('/batches/:batchId/events', (req, res) => {
+  const { batchId } = req.params;
+  const stream = openEventStream(req, res);
+
+  const publish = (batch) => {
+    stream.send('status', batch);
+    if (Veo3Service.isFinishedBatch(batch.status)) {
+      stream.send('done', batch);
+      stream.close();
+    }
+  };
+
+  const listener = (update) => {
+    if (update.batchId !== batchId) return;
+    Veo3Service.getBatch(batchId, { refresh: false, persist: false })
+      .then(publish)
+      .catch(error => console.error('[API] Batch event error:', error));
+  };
+  Veo3Service.events.on('video', listener);
+  Veo3Service.events.on('batch', listener);
+  stream.onClose(() => {
+    Veo3Service.events.off('video', listener);
+    Veo3Service.events.off('batch', listener);
+  });
+
+  pollWhileOpen(stream, async () => publish(await Veo3Service.getBatch(batchId)));
+});
+
+export default router;
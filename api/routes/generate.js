@@ -1,19 +1,11 @@
 import express from 'express';
-import rateLimit from 'express-rate-limit';
 import OpenAIService from '../services/openaiService.js';
-import Veo3Service from '../services/veo3Service.js';
+import VideoDescriptionService from '../services/videoDescriptionService.js';
 import archiver from 'archiver';
+import { ServiceError } from '../services/errors.js';
 
 const router = express.Router();
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 10 // limit each IP to 10 requests per minute
-});
-
-router.use(limiter);
-
 // Generate segments endpoint
 router.post('/generate', async (req, res) => {
   console.log('[Generate] Request received:', {
@@ -47,7 +39,9 @@ router.post('/generate', async (req, res) => {
       clothingDetails,
       accentRegion,
       // Language/locale controls
-      language
+      language,
+      // 'sequential' (default) or 'parallel'
+      generationMode
     } = req.body;
     
     // Validation
@@ -67,6 +61,7 @@ router.post('/generate', async (req, res) => {
       jsonFormat,
       continuationMode,
       settingMode,
+      generationMode,
       scriptWords: script.trim().split(/\s+/).length
     });
     
@@ -93,7 +88,8 @@ router.post('/generate', async (req, res) => {
       characterFeatures,
       clothingDetails,
       accentRegion,
-      language
+      language,
+      generationMode
     };
     
     // Generate segments using OpenAI
@@ -111,7 +107,9 @@ router.post('/generate', async (req, res) => {
       success: true,
       segments: result.segments,
       metadata: result.metadata,
-      voiceProfile: result.voiceProfile
+      voiceProfile: result.voiceProfile,
+      baseDescriptions: result.baseDescriptions,
+      validation: result.validation
     });
     
   } catch (error) {
@@ -120,9 +118,12 @@ router.post('/generate', async (req, res) => {
       stack: error.stack,
       response: error.response?.data
     });
-    res.status(500).json({ 
+    // Invalid input (e.g. script markup) is reported as is; other errors only in development
+    const expected = error instanceof ServiceError;
+    res.status(expected ? error.status : 500).json({ 
       error: 'Failed to generate segments',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: expected ? error.code : undefined,
+      message: expected || process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
       details: process.env.NODE_ENV === 'development' ? error.response?.data : undefined
     });
   }
@@ -147,7 +148,7 @@ router.post('/download', async (req, res) => {
     });
     
     // Add instructions file
-    archive.append('Instructions for Veo 3:\n1. Upload each JSON in order\n2. Generate 8-second clips\n3. Edit together with overlaps', {
+    archive.append('Instructions for Veo 3:\n1. Upload each JSON in order\n2. Generate 8-second clips\n3. Edit together with overlaps (or POST the videoIds to /api/stitch-videos to get one final MP4)', {
       name: 'README.txt'
     });
     
@@ -175,7 +176,7 @@ router.post('/generate-videos', async (req, res) => {
     console.log(`[Generate Videos] Processing ${segments.length} segments`);
     
     // Use Gemini/Vertex AI for video descriptions
-    const result = await Veo3Service.generateVideosForAllSegments(segments);
+    const result = await VideoDescriptionService.describeSegments(segments);
     
     console.log('[Generate Videos] Success:', {
       totalVideos: result.videos.length,
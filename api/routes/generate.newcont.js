@@ -1,16 +1,8 @@
 import express from 'express';
-import rateLimit from 'express-rate-limit';
 import OpenAIService from '../services/openaiService.js';
 
 const router = express.Router();
 
-const limiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 10,
-});
-
-router.use(limiter);
-
 // New Continuation Mode: isolated endpoint
 router.post('/generate-new-cont', async (req, res) => {
   console.log('[NewCont] Request received:', {
@@ -96,10 +88,12 @@ router.post('/generate-new-cont', async (req, res) => {
       segments: result.segments,
       metadata: result.metadata,
       voiceProfile: result.voiceProfile,
+      baseDescriptions: result.baseDescriptions,
+      validation: result.validation,
     });
   } catch (error) {
     console.error('[NewCont] Error:', error);
-    res.status(500).json({ error: 'Failed to generate new continuation segments', message: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to generate new continuation segments', code: error.code, message: error.message });
   }
 });
 
@@ -1,8 +1,8 @@
 import express from 'express';
-import rateLimit from 'express-rate-limit';
 import OpenAIServicePlus from '../services/openaiService.plus.js';
-import Veo3Service from '../services/veo3Service.js';
+import VideoDescriptionService from '../services/videoDescriptionService.js';
 import archiver from 'archiver';
+import { ServiceError } from '../services/errors.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -13,13 +13,6 @@ const runsRoot = path.join(__dirname, '../../runs/plus');
 
 const router = express.Router();
 
-const limiter = rateLimit({
-  windowMs: 1 * 60 * 1000,
-  max: 10
-});
-
-router.use(limiter);
-
 async function ensureDir(dirPath) {
   await fs.mkdir(dirPath, { recursive: true }).catch(() => {});
 }
@@ -52,7 +45,9 @@ router.post('/generate-plus', async (req, res) => {
       ethnicity,
       characterFeatures,
       clothingDetails,
-      accentRegion
+      accentRegion,
+      // 'sequential' (default) or 'parallel'
+      generationMode
     } = req.body;
 
     if (!script || script.trim().length < 50) {
@@ -83,7 +78,8 @@ router.post('/generate-plus', async (req, res) => {
       ethnicity,
       characterFeatures,
       clothingDetails,
-      accentRegion
+      accentRegion,
+      generationMode
     };
 
     const result = await OpenAIServicePlus.generateSegments(params);
@@ -108,7 +104,9 @@ router.post('/generate-plus', async (req, res) => {
     res.json({
       success: true,
       segments: result.segments,
-      metadata: result.metadata
+      metadata: result.metadata,
+      baseDescriptions: result.baseDescriptions,
+      validation: result.validation
     });
   } catch (error) {
     console.error('[Generate Plus] Error:', {
@@ -116,9 +114,12 @@ router.post('/generate-plus', async (req, res) => {
       stack: error.stack,
       response: error.response?.data
     });
-    res.status(500).json({
+    // Invalid input (e.g. script markup) is reported as is; other errors only in development
+    const expected = error instanceof ServiceError;
+    res.status(expected ? error.status : 500).json({
       error: 'Failed to generate segments (plus)',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: expected ? error.code : undefined,
+      message: expected || process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
       details: process.env.NODE_ENV === 'development' ? error.response?.data : undefined
     });
   }
@@ -140,7 +141,7 @@ router.post('/download-plus', async (req, res) => {
       });
     });
 
-    archive.append('Standard Plus Instructions for Veo 3:\n1. Upload each JSON in order\n2. Generate 8-second clips\n3. Edit together with overlaps', {
+    archive.append('Standard Plus Instructions for Veo 3:\n1. Upload each JSON in order\n2. Generate 8-second clips\n3. Edit together with overlaps (or POST the videoIds to /api/stitch-videos to get one final MP4)', {
       name: 'README_PLUS.txt'
     });
 
@@ -162,7 +163,7 @@ router.post('/generate-videos-plus', async (req, res) => {
       });
     }
 
-    const result = await Veo3Service.generateVideosForAllSegments(segments);
+    const result = await VideoDescriptionService.describeSegments(segments);
 
     res.json({
       success: true,
@@ -1,5 +1,6 @@
 import express from 'express';
 import openaiService from '../services/openaiService.js';
+import { parseImageInput } from '../services/frameExtractor.js';
 
 const router = express.Router();
 
@@ -7,17 +8,21 @@ router.post('/generate-continuation', async (req, res) => {
   console.log('[API] /generate-continuation called');
   
   try {
-    const { imageUrl, script, voiceProfile, previousSegment, maintainEnergy, product } = req.body;
+    const { image, imageUrl, script, voiceProfile, previousSegment, maintainEnergy, product } = req.body;
     
     // Validate required fields
-    if (!imageUrl || !script || !voiceProfile || !product) {
+    if ((!image && !imageUrl) || !script || !voiceProfile || !product) {
       return res.status(400).json({ 
-        error: 'Missing required fields: imageUrl, script, voiceProfile, and product are required' 
+        error: 'Missing required fields: image (or imageUrl), script, voiceProfile, and product are required' 
       });
     }
     
+    // Uploaded still (data URL or { data, mimeType }) of the frame to continue from
+    const uploadedImage = parseImageInput(image);
+    
     console.log('[API] Generating continuation for:', {
       imageUrl,
+      hasUploadedImage: !!uploadedImage,
       scriptLength: script.length,
       hasVoiceProfile: !!voiceProfile,
       hasPreviousSegment: !!previousSegment,
@@ -25,7 +30,8 @@ router.post('/generate-continuation', async (req, res) => {
     });
     
     // Generate continuation segment
-    const segment = await openaiService.generateContinuationSegment({
+    const generated = await openaiService.generateContinuationSegment({
+      image: uploadedImage,
       imageUrl,
       script,
       voiceProfile,
@@ -33,18 +39,23 @@ router.post('/generate-continuation', async (req, res) => {
       maintainEnergy,
       product
     });
+    const { segment, validation } = await openaiService.validateGeneratedSegment(generated, 'continuation', 'Continuation segment');
     
     console.log('[API] Continuation segment generated successfully');
     
+    // The same still can be sent as startImage to /generate-videos-veo3
     res.json({ 
       success: true,
-      segment
+      segment,
+      validation,
+      startImage: uploadedImage ? { mimeType: uploadedImage.mimeType } : undefined
     });
     
   } catch (error) {
     console.error('[API] Continuation generation error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: 'Failed to generate continuation',
+      code: error.code,
       message: error.message 
     });
   }
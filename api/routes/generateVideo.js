@@ -1,5 +1,9 @@
 import express from 'express';
+import archiver from 'archiver';
+import fs from 'fs';
+import { pipeline } from 'stream';
 import Veo3Service from '../services/veo3Service.js';
+import { parseCallback } from '../services/webhookNotifier.js';
 
 const router = express.Router();
 
@@ -8,7 +12,28 @@ router.post('/generate-videos-veo3', async (req, res) => {
   console.log('[API] /generate-videos-veo3 called');
   
   try {
-    const { segments, videoQuality = 'standard', language = 'es' } = req.body;
+    const {
+      segments,
+      videoQuality = 'standard',
+      language = 'es',
+      sequential = false,
+      // Optional stills (data URLs) for image-to-video: first segment, or per segment
+      startImage,
+      segmentImages,
+      // Veo options (aspectRatio, resolution, durationSeconds, negativePrompt, seed,
+      // sampleCount, personGeneration) for every segment, with per-segment overrides
+      videoParameters,
+      segmentParameters,
+      // "gemini", "vertex" or "mock" (defaults to VIDEO_PROVIDER / configured credentials)
+      provider,
+      // Optional webhook: POSTed a signed payload as each segment and the batch finish
+      callbackUrl,
+      callbackSecret,
+      // { tokenBudget, truncationOrder } for the compiled prompts (see /preview-prompt)
+      promptOptions,
+      // Submit segments the safety pre-check blocks (after a human reviewed them)
+      safetyAcknowledged = false
+    } = req.body;
     
     // Validate required fields
     if (!segments || !Array.isArray(segments) || segments.length === 0) {
@@ -17,42 +42,88 @@ router.post('/generate-videos-veo3', async (req, res) => {
       });
     }
     
+    if (videoParameters !== undefined && (typeof videoParameters !== 'object' || Array.isArray(videoParameters))) {
+      return res.status(400).json({ 
+        error: 'videoParameters must be an object' 
+      });
+    }
+    if (segmentParameters !== undefined && !Array.isArray(segmentParameters)) {
+      return res.status(400).json({ 
+        error: 'segmentParameters must be an array aligned with segments' 
+      });
+    }
+    
+    const callback = await parseCallback(callbackUrl, callbackSecret);
+    
     console.log('[API] Generating videos with Veo 3:', {
       segmentCount: segments.length,
       videoQuality,
-      language
+      language,
+      sequential,
+      hasStartImage: !!startImage,
+      videoParameters,
+      provider,
+      hasCallback: !!callback
     });
     
     // Use Veo 3 service for video generation
     const result = await Veo3Service.generateVideosWithVeo3(segments, {
       quality: videoQuality,
-      language
+      language,
+      sequential,
+      startImage,
+      segmentImages,
+      videoParameters,
+      segmentParameters,
+      provider,
+      callback,
+      // Webhook payloads carry absolute download URLs
+      publicBaseUrl: `${req.protocol}://${req.get('host')}`,
+      promptOptions,
+      safetyAcknowledged
     });
     
+    // Sequential segments wait for the previous clip, parallel ones only for quota
+    const queued = result.videos.filter(video => video.status === 'queued').length;
+    
     console.log('[API] Video generation initiated:', {
+      batchId: result.batchId,
       totalVideos: result.videos.length,
+      queued,
       estimatedTime: result.estimatedTime
     });
     
     res.json({
       success: true,
+      batchId: result.batchId,
+      statusUrl: `/api/batches/${result.batchId}`,
       videos: result.videos,
       service: 'veo3',
+      provider: result.provider,
+      // Safety pre-check findings per segment (warnings and applied rewrites)
+      safety: result.safety.map(({ segmentIndex, warnings, rewrites }) => ({ segmentIndex, warnings, rewrites })),
+      // Schema report for the submitted segments (not blocking)
+      validation: result.validation,
       estimatedTime: result.estimatedTime,
-      message: 'Video generation initiated successfully'
+      message: queued > 0
+        ? `Video generation initiated; ${queued} segment(s) queued ${result.sequential ? 'behind the previous segment' : 'until Veo quota allows'} (track them via statusUrl)`
+        : 'Video generation initiated successfully'
     });
     
   } catch (error) {
     console.error('[API] Video generation error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: 'Failed to generate videos',
-      message: error.message 
+      code: error.code,
+      message: error.message,
+      details: error.details
     });
   }
 });
 
 // Check video generation status
-router.get('/video-status/:videoId', async (req, res) => {
+// Video ids are Veo operation names and contain slashes, hence the (*) params
+router.get('/video-status/:videoId(*)', async (req, res) => {
   try {
     const { videoId } = req.params;
     
@@ -61,7 +132,7 @@ router.get('/video-status/:videoId', async (req, res) => {
     res.json({
       success: true,
       videoId,
-      status
+      ...status
     });
     
   } catch (error) {
@@ -73,26 +144,196 @@ router.get('/video-status/:videoId', async (req, res) => {
   }
 });
 
-// Download completed video
-router.get('/download-video/:videoId', async (req, res) => {
+// Cancel a segment that is still rendering
+router.delete('/video-status/:videoId(*)', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    const status = await Veo3Service.cancelVideo(videoId);
+    
+    res.json({
+      success: true,
+      videoId,
+      ...status
+    });
+  
+  } catch (error) {
+    console.error('[API] Video cancel error:', error);
+    res.status(error.status || 500).json({ 
+      error: 'Failed to cancel video',
+      code: error.code,
+      message: error.message 
+    });
+  }
+});
+
+// Resubmit one finished segment, optionally with an edited prompt
+// (e.g. after Veo's safety filters rejected it)
+router.post('/video-status/:videoId(*)/resubmit', async (req, res) => {
   try {
     const { videoId } = req.params;
+    const { prompt, safetyAcknowledged = false } = req.body || {};
     
-    const videoData = await Veo3Service.downloadVideo(videoId);
+    if (prompt !== undefined && (typeof prompt !== 'string' || !prompt.trim())) {
+      return res.status(400).json({ 
+        error: 'prompt must be a non-empty string' 
+      });
+    }
     
-    res.setHeader('Content-Type', 'video/mp4');
-    res.setHeader('Content-Disposition', `attachment; filename="segment_${videoId}.mp4"`);
-    res.send(videoData);
+    const video = await Veo3Service.resubmitVideo(videoId, { prompt: prompt?.trim(), safetyAcknowledged });
+    
+    res.json({
+      success: true,
+      ...video
+    });
+  
+  } catch (error) {
+    console.error('[API] Video resubmit error:', error);
+    res.status(error.status || 500).json({ 
+      error: 'Failed to resubmit video',
+      code: error.code,
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// Choose which take of a segment downloads and the ZIP export use
+router.post('/video-status/:videoId(*)/take', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const take = Number(req.body?.take);
+    
+    if (!Number.isInteger(take) || take < 1) {
+      return res.status(400).json({ 
+        error: 'take must be a 1-based take number' 
+      });
+    }
+    
+    const status = await Veo3Service.selectTake(videoId, take);
+    
+    res.json({
+      success: true,
+      videoId,
+      ...status
+    });
+    
+  } catch (error) {
+    console.error('[API] Take selection error:', error);
+    res.status(error.status || 500).json({ 
+      error: 'Failed to select take',
+      code: error.code,
+      message: error.message 
+    });
+  }
+});
+
+// Download completed video (streamed from Google, supports Range requests)
+// ?take=N previews another take without selecting it
+router.get('/download-video/:videoId(*)', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const take = req.query.take ? parseInt(req.query.take, 10) : null;
+    
+    const video = await Veo3Service.downloadVideo(videoId, { range: req.headers.range, take });
+    const fileName = `segment_${videoId.split('/').pop()}${take ? `_take${take}` : ''}.mp4`;
+    
+    res.status(video.status);
+    res.setHeader('Content-Type', video.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Accept-Ranges', video.acceptRanges || 'bytes');
+    if (video.contentLength) res.setHeader('Content-Length', video.contentLength);
+    if (video.contentRange) res.setHeader('Content-Range', video.contentRange);
+    
+    // pipeline tears down both sides, so a client that aborts (e.g. a player
+    // dropping a Range request) also closes the upstream response
+    pipeline(video.stream, res, (streamError) => {
+      if (streamError && streamError.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('[API] Video stream error:', streamError);
+      }
+    });
     
   } catch (error) {
     console.error('[API] Video download error:', error);
-    res.status(500).json({ 
+    if (error.details?.contentRange) {
+      res.setHeader('Content-Range', error.details.contentRange);
+    }
+    res.status(error.status || 500).json({ 
       error: 'Failed to download video',
+      code: error.code,
       message: error.message 
     });
   }
 });
 
+// Stitch completed clips into one final ad (ZIP with the individual clips, or just the MP4)
+router.post('/stitch-videos', async (req, res) => {
+  let stitched = null;
+  
+  try {
+    const { videoIds, segments, overlapSeconds, boundaries, format = 'zip' } = req.body;
+    
+    if (!Array.isArray(videoIds) || videoIds.length === 0) {
+      return res.status(400).json({ 
+        error: 'No videoIds provided for stitching' 
+      });
+    }
+    
+    stitched = await Veo3Service.stitchVideos(videoIds, { segments, overlapSeconds, boundaries });
+    res.on('close', stitched.cleanup);
+    
+    if (format === 'mp4') {
+      res.setHeader('Content-Type', 'video/mp4');
+      res.setHeader('Content-Disposition', 'attachment; filename="final_ad.mp4"');
+      return pipeline(fs.createReadStream(stitched.outputPath), res, (streamError) => {
+        if (streamError && streamError.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          console.error('[API] Stitched video stream error:', streamError);
+        }
+      });
+    }
+    
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename=veo3-final-ad.zip');
+    
+    const archive = archiver('zip', { zlib: { level: 1 } });
+    // Headers are already sent, so a missing or unreadable clip can only end the
+    // response. archiver reports missing files as warnings and would otherwise
+    // finish an incomplete ZIP.
+    const abort = (archiveError) => {
+      console.error('[API] Stitch archive error:', archiveError);
+      archive.abort();
+      res.destroy(archiveError);
+      stitched.cleanup();
+    };
+    archive.on('error', abort);
+    archive.on('warning', abort);
+    archive.pipe(res);
+    
+    archive.file(stitched.outputPath, { name: 'final_ad.mp4' });
+    stitched.clips.forEach(clip => {
+      archive.file(clip.path, { name: `clips/${clip.fileName}` });
+    });
+    archive.append(JSON.stringify({
+      duration: stitched.duration,
+      hasAudio: stitched.hasAudio,
+      boundaries: stitched.boundaries,
+      clips: stitched.clips.map(({ videoId, segmentIndex, take, fileName }) => ({ videoId, segmentIndex, take, fileName }))
+    }, null, 2), { name: 'edit_decisions.json' });
+    
+    archive.finalize();
+    
+  } catch (error) {
+    console.error('[API] Video stitching error:', error);
+    await stitched?.cleanup();
+    res.status(error.status || 500).json({ 
+      error: 'Failed to stitch videos',
+      code: error.code,
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
 // Test endpoint to verify Veo 3 API calls
 router.post('/test-veo3', async (req, res) => {
   console.log('[API] /test-veo3 called - Testing Veo 3 API connection');
@@ -118,6 +359,7 @@ router.post('/test-veo3', async (req, res) => {
         videoId: result.id,
         status: result.status,
         operationName: result.operation?.name,
+        provider: result.provider,
         apiResponse: result.apiResponse
       }
     });
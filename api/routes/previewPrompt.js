@@ -0,0 +1,54 @@
+import express from 'express';
+import Veo3Service from '../services/veo3Service.js';
+
+const router = express.Router();
+
+// Show the exact Veo prompts a generation run would submit, without spending credits
+router.post('/preview-prompt', async (req, res) => {
+  try {
+    const {
+      segments,
+      language = 'es',
+      videoQuality = 'standard',
+      // Same as /generate-videos-veo3: durationSeconds shapes the prompt
+      videoParameters,
+      segmentParameters,
+      // { tokenBudget, truncationOrder }
+      promptOptions
+    } = req.body;
+    
+    if (!segments || !Array.isArray(segments) || segments.length === 0) {
+      return res.status(400).json({ 
+        error: 'No segments provided for the prompt preview' 
+      });
+    }
+    if (!segments.every(segment => segment !== null && typeof segment === 'object' && !Array.isArray(segment))) {
+      return res.status(400).json({ 
+        error: 'Every entry in segments must be a segment object' 
+      });
+    }
+    
+    const prompts = Veo3Service.previewPrompts(segments, {
+      language,
+      quality: videoQuality,
+      videoParameters,
+      segmentParameters,
+      promptOptions
+    });
+    
+    res.json({
+      success: true,
+      segments: prompts
+    });
+    
+  } catch (error) {
+    console.error('[API] Prompt preview error:', error);
+    res.status(error.status || 500).json({ 
+      error: 'Failed to preview prompts',
+      code: error.code,
+      message: error.message 
+    });
+  }
+});
+
+export default router;
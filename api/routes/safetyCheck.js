@@ -0,0 +1,38 @@
+import express from 'express';
+import Veo3Service from '../services/veo3Service.js';
+import { resolvePromptOptions } from '../services/promptCompiler.js';
+
+const router = express.Router();
+
+// Pre-flight safety review of the prompts a generation run would submit
+router.post('/safety-check', async (req, res) => {
+  try {
+    const { segments, language = 'es', promptOptions } = req.body;
+    
+    if (!segments || !Array.isArray(segments) || segments.length === 0) {
+      return res.status(400).json({ 
+        error: 'No segments provided for the safety check' 
+      });
+    }
+    
+    const reviews = Veo3Service.reviewSegmentPrompts(segments, language, {
+      promptOptions: resolvePromptOptions(promptOptions)
+    });
+    
+    res.json({
+      success: true,
+      blocked: reviews.some(review => review.blocked),
+      segments: reviews
+    });
+    
+  } catch (error) {
+    console.error('[API] Safety check error:', error);
+    res.status(error.status || 500).json({ 
+      error: 'Failed to check prompts',
+      code: error.code,
+      message: error.message 
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+import express from 'express';
+import OpenAIService from '../services/openaiService.js';
+import OpenAIServicePlus from '../services/openaiService.plus.js';
+import { ServiceError } from '../services/errors.js';
+import { GENERATION_ENDPOINTS } from '../services/scriptEstimator.js';
+import { checkRegenerationRequest } from '../services/segmentRegeneration.js';
+
+const router = express.Router();
+
+// Regenerate one segment of a run from /generate, /generate-plus or
+// /generate-new-cont, keeping the character and the other segments
+router.post('/segments/regenerate', async (req, res) => {
+  try {
+    const {
+      // From the original response
+      baseDescriptions,
+      segments,
+      voiceProfile = null,
+      // The original request body
+      params = {},
+      // 0-based position of the segment to regenerate
+      index,
+      // Optional replacement dialogue and instructions for this segment
+      dialogue,
+      notes,
+      endpoint = 'generate'
+    } = req.body;
+
+    if (!GENERATION_ENDPOINTS.includes(endpoint)) {
+      throw new ServiceError(`Unknown endpoint "${endpoint}" (expected ${GENERATION_ENDPOINTS.join(', ')})`, 400, 'invalid_endpoint');
+    }
+    checkRegenerationRequest({ baseDescriptions, segments, params, index, dialogue, notes });
+    if (endpoint === 'generate-new-cont' && index > 0 && !voiceProfile) {
+      throw new ServiceError('voiceProfile from the original run is required for continuation segments', 400, 'invalid_regeneration_request');
+    }
+
+    console.log('[Segments] Regenerating segment:', { endpoint, index, segments: segments.length, editedDialogue: !!dialogue });
+
+    const request = { baseDescriptions, segments, params, index, dialogue, notes };
+    const result = endpoint === 'generate-plus'
+      ? await OpenAIServicePlus.regenerateSegment(request)
+      : await OpenAIService.regenerateSegment({ ...request, voiceProfile });
+
+    res.json({
+      success: true,
+      index,
+      segment: result.segment,
+      segments: result.segments,
+      adjustments: result.adjustments,
+      validation: result.validation
+    });
+
+  } catch (error) {
+    console.error('[Segments] Regenerate error:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to regenerate segment',
+      code: error.code,
+      message: error.message
+    });
+  }
+});
+
+export default router;
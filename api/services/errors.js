@@ -0,0 +1,12 @@
+// Errors thrown by services that map to a specific HTTP status in the routes
+export class ServiceError extends Error {
+  constructor(message, status = 500, code = 'internal_error', details = undefined) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export default ServiceError;
@@ -0,0 +1,42 @@
+import { spawn } from 'child_process';
+import { ServiceError } from './errors.js';
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+function run(binary, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(binary, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', (error) => {
+      reject(error.code === 'ENOENT'
+        ? new ServiceError(`${binary} not found (set FFMPEG_PATH/FFPROBE_PATH to enable video processing)`, 503, 'ffmpeg_unavailable')
+        : error);
+    });
+    child.on('close', (code) => {
+      if (code === 0) resolve(stdout);
+      else reject(new Error(`${binary} exited with code ${code}: ${stderr.trim().split('\n').slice(-3).join(' | ')}`));
+    });
+  });
+}
+
+export function runFfmpeg(args) {
+  return run(FFMPEG_PATH, ['-hide_banner', ...args]);
+}
+
+export async function probeMedia(filePath) {
+  const output = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-show_entries', 'format=duration:stream=codec_type',
+    '-of', 'json',
+    filePath
+  ]);
+  const info = JSON.parse(output);
+  return {
+    duration: parseFloat(info.format?.duration) || 0,
+    hasAudio: (info.streams || []).some(stream => stream.codec_type === 'audio')
+  };
+}
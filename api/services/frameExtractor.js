@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ServiceError } from './errors.js';
+import { runFfmpeg } from './ffmpeg.js';
+
+const SUPPORTED_IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/webp']);
+
+// Normalize a still supplied by a client into the Veo `image` instance shape.
+// Accepts a data URL ("data:image/png;base64,...") or { data|bytesBase64Encoded, mimeType }.
+export function parseImageInput(input) {
+  if (!input) return null;
+
+  if (typeof input === 'string') {
+    const match = input.match(/^data:([\w/+.-]+);base64,(.+)$/s);
+    if (!match) {
+      throw new ServiceError('Image must be a base64 data URL (data:image/png;base64,...)', 400, 'invalid_image');
+    }
+    return parseImageInput({ mimeType: match[1], data: match[2] });
+  }
+
+  const bytesBase64Encoded = input.bytesBase64Encoded || input.data;
+  const mimeType = input.mimeType || 'image/png';
+  if (!bytesBase64Encoded) {
+    throw new ServiceError('Image data is missing', 400, 'invalid_image');
+  }
+  if (!SUPPORTED_IMAGE_TYPES.has(mimeType)) {
+    throw new ServiceError(`Unsupported image type ${mimeType} (use PNG, JPEG or WebP)`, 400, 'invalid_image');
+  }
+  return { bytesBase64Encoded, mimeType };
+}
+
+export function toDataUrl(image) {
+  return `data:${image.mimeType};base64,${image.bytesBase64Encoded}`;
+}
+
+// The URL when it is an absolute http(s) URL a model can fetch, otherwise null
+export function parseImageUrl(url) {
+  if (typeof url !== 'string') return null;
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Extract the final frame of a local MP4 as a PNG still for the next Veo request
+export async function extractLastFrame(videoPath) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'veoforge-frame-'));
+  const outputPath = path.join(tempDir, 'last-frame.png');
+
+  try {
+    // Decode only the last second and keep overwriting the output so the final frame wins
+    await runFfmpeg([
+      '-v', 'error',
+      '-sseof', '-1',
+      '-i', videoPath,
+      '-update', '1',
+      '-y',
+      outputPath
+    ]);
+
+    const png = await fs.readFile(outputPath);
+    return { bytesBase64Encoded: png.toString('base64'), mimeType: 'image/png' };
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
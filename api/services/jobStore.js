@@ -0,0 +1,172 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Job store interface (implemented by every adapter, e.g. a future RedisJobStore):
+//   async get(id)           -> job object or null
+//   async create(job)       -> stored job (job.id required, timestamps added)
+//   async update(id, patch) -> merged job or null if missing
+//   async list(filter)      -> array of jobs whose fields match every key in filter
+//   async delete(id)        -> true if a job was removed
+//
+// Jobs are plain JSON objects so any key/value backend can hold them.
+
+function stamp(job, existing = null) {
+  const now = Date.now();
+  return {
+    ...job,
+    createdAt: existing?.createdAt || job.createdAt || now,
+    updatedAt: now
+  };
+}
+
+function matches(job, filter = {}) {
+  return Object.entries(filter).every(([key, value]) => job[key] === value);
+}
+
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? structuredClone(job) : null;
+  }
+
+  async create(job) {
+    if (!job?.id) throw new Error('Job id is required');
+    const stored = stamp(job);
+    this.jobs.set(job.id, stored);
+    return structuredClone(stored);
+  }
+
+  async update(id, patch) {
+    const existing = this.jobs.get(id);
+    if (!existing) return null;
+    const stored = stamp({ ...existing, ...patch, id }, existing);
+    this.jobs.set(id, stored);
+    return structuredClone(stored);
+  }
+
+  async list(filter = {}) {
+    return [...this.jobs.values()].filter(job => matches(job, filter)).map(job => structuredClone(job));
+  }
+
+  async delete(id) {
+    return this.jobs.delete(id);
+  }
+}
+
+// One JSON file per job so concurrent writers never rewrite each other's entries
+export class FileJobStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.ready = null;
+    this.locks = new Map();
+  }
+
+  // Serialise writes to one job so concurrent updates don't drop each other's fields
+  withLock(id, fn) {
+    const run = (this.locks.get(id) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    this.locks.set(id, tail);
+    tail.then(() => {
+      if (this.locks.get(id) === tail) this.locks.delete(id);
+    });
+    return run;
+  }
+
+  async ensureDir() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.dir, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  filePath(id) {
+    // Operation names contain slashes (models/.../operations/...)
+    return path.join(this.dir, `${encodeURIComponent(id)}.json`);
+  }
+
+  async write(job) {
+    await this.ensureDir();
+    const target = this.filePath(job.id);
+    const tmp = `${target}.${randomUUID()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(job, null, 2));
+    await fs.rename(tmp, target);
+    return job;
+  }
+
+  async get(id) {
+    try {
+      const raw = await fs.readFile(this.filePath(id), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async create(job) {
+    if (!job?.id) throw new Error('Job id is required');
+    return this.withLock(job.id, () => this.write(stamp(job)));
+  }
+
+  async update(id, patch) {
+    return this.withLock(id, async () => {
+      const existing = await this.get(id);
+      if (!existing) return null;
+      return this.write(stamp({ ...existing, ...patch, id }, existing));
+    });
+  }
+
+  async list(filter = {}) {
+    await this.ensureDir();
+    const files = (await fs.readdir(this.dir)).filter(name => name.endsWith('.json'));
+    const jobs = await Promise.all(files.map(name => this.get(decodeURIComponent(name.slice(0, -5)))));
+    return jobs.filter(job => job && matches(job, filter));
+  }
+
+  async delete(id) {
+    return this.withLock(id, async () => {
+      try {
+        await fs.unlink(this.filePath(id));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+  }
+}
+
+function defaultStoreRoot() {
+  // Serverless instances only share what is on shared storage; a per-instance
+  // temp dir would answer status polls served elsewhere with not_found
+  if (process.env.VERCEL) {
+    throw new Error('JOB_STORE_PATH must point at storage shared by every instance when running on Vercel');
+  }
+  return path.join(__dirname, '../../runs');
+}
+
+// Root of everything kept on disk (job files, locally stored videos)
+export function getStoreRoot() {
+  return process.env.JOB_STORE_PATH || defaultStoreRoot();
+}
+
+// Each namespace (video jobs, batches, ...) is stored separately
+export function createJobStore(namespace = 'jobs', type = process.env.JOB_STORE || 'file') {
+  switch (type) {
+    case 'memory':
+      return new MemoryJobStore();
+    case 'file':
+      return new FileJobStore(path.join(getStoreRoot(), namespace));
+    default:
+      throw new Error(`Unknown job store "${type}" (expected "file" or "memory")`);
+  }
+}
@@ -2,6 +2,11 @@ import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseImageUrl, toDataUrl } from './frameExtractor.js';
+import { parseModelJson, summarizeValidation, validateAndRepairSegment } from './segmentValidator.js';
+import { alignSegments, describeContinuity, GENERATION_CONCURRENCY, requestContinuityPlan, resolveGenerationMode, runConcurrently } from './parallelGeneration.js';
+import { alignNeighbours, describeRegeneration, regenerationRequest } from './segmentRegeneration.js';
+import { planMarkedScript, resolveSegmentLocations, SPLIT_LIMITS } from './scriptSplitter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -37,22 +42,16 @@ class OpenAIService {
     console.log('[OpenAI] Setting mode:', params.settingMode || 'single');
     console.log('[OpenAI] Language parameter:', params.language);
     console.log('[OpenAI] Accent region:', params.accentRegion);
+    const generationMode = resolveGenerationMode(params.generationMode);
+    console.log('[OpenAI] Generation mode:', generationMode);
     const template = await this.loadTemplate(params.jsonFormat);
     
     // Step 1: Analyze and split script
-    const scriptSegments = await this.splitScript(params.script);
+    const scriptSegments = await this.splitScript(params.script, params);
     console.log('[OpenAI] Script split into', scriptSegments.length, 'segments');
     
-    // Prepare location data for mixed settings
-    let locations = [];
-    if (params.settingMode === 'single') {
-      locations = Array(scriptSegments.length).fill(params.room);
-    } else {
-      locations = params.locations || [];
-      while (locations.length < scriptSegments.length) {
-        locations.push(locations[locations.length - 1] || 'living room');
-      }
-    }
+    // One location per segment; [location: ...] directives in the script win
+    const locations = resolveSegmentLocations(scriptSegments, params);
     
     // Step 2: Generate base descriptions (used across all segments)
     console.log('[OpenAI] Generating base descriptions...');
@@ -60,23 +59,39 @@ class OpenAIService {
     console.log('[OpenAI] Base descriptions generated');
     
     // Step 3: Generate each segment
-    const segments = [];
-    console.log('[OpenAI] Generating individual segments...');
-    for (let i = 0; i < scriptSegments.length; i++) {
-      console.log(`[OpenAI] Generating segment ${i + 1}/${scriptSegments.length}`);
-      const segment = await this.generateSegment({
-        segmentNumber: i + 1,
-        totalSegments: scriptSegments.length,
-        scriptPart: scriptSegments[i],
-        baseDescriptions,
-        previousSegment: segments[i - 1] || null,
-        template,
-        currentLocation: locations[i],
-        previousLocation: i > 0 ? locations[i - 1] : null,
-        nextLocation: i < locations.length - 1 ? locations[i + 1] : null,
-        ...params
-      });
-      segments.push(segment);
+    const segmentRequest = (i) => ({
+      segmentNumber: i + 1,
+      totalSegments: scriptSegments.length,
+      scriptPart: scriptSegments[i].text,
+      baseDescriptions,
+      template,
+      currentLocation: locations[i],
+      previousLocation: i > 0 ? locations[i - 1] : null,
+      nextLocation: i < locations.length - 1 ? locations[i + 1] : null,
+      ...params,
+      ...scriptSegments[i].settings
+    });
+    
+    let segments = [];
+    let validations = [];
+    let generation = { mode: 'sequential' };
+    if (generationMode === 'parallel') {
+      ({ segments, validations, generation } = await this.generateSegmentsInParallel({
+        params, baseDescriptions, scriptSegments, locations, segmentRequest
+      }));
+    } else {
+      console.log('[OpenAI] Generating individual segments...');
+      for (let i = 0; i < scriptSegments.length; i++) {
+        console.log(`[OpenAI] Generating segment ${i + 1}/${scriptSegments.length}`);
+        const generated = await this.generateSegment({
+          ...segmentRequest(i),
+          previousSegment: segments[i - 1] || null
+        });
+        // Later segments build on this one, so repair it before moving on
+        const { segment, validation } = await this.validateGeneratedSegment(generated, params.jsonFormat || 'standard', `Segment ${i + 1}`);
+        segments.push(segment);
+        validations.push(validation);
+      }
     }
     
     return {
@@ -84,118 +99,73 @@ class OpenAIService {
       metadata: {
         totalSegments: segments.length,
         estimatedDuration: segments.length * 8,
-        characterId: this.generateCharacterId(params)
-      }
+        characterId: this.generateCharacterId(params),
+        scriptSegments: this.describeScriptSegments(scriptSegments),
+        generation
+      },
+      // Needed to regenerate a single segment later (POST /api/segments/regenerate)
+      baseDescriptions,
+      validation: summarizeValidation(validations)
     };
   }
 
-  async splitScript(script) {
-    const wordsPerSecond = 150 / 60; // 2.5 words per second (150 wpm)
-    const minWordsFor6Seconds = 15; // 15 words minimum for 6 seconds
-    const targetWordsFor8Seconds = 20; // 20 words target for 8 seconds
-    const maxWordsFor8Seconds = 22; // 22 words max to leave room for pauses
-    
-    console.log('[OpenAI] Script splitting parameters:', {
-      minWords: minWordsFor6Seconds,
-      targetWords: targetWordsFor8Seconds,
-      maxWords: maxWordsFor8Seconds
+  // All segments at once against a precomputed continuity plan instead of the
+  // previous segment, then a consistency pass over the results
+  async generateSegmentsInParallel({ params, baseDescriptions, scriptSegments, locations, segmentRequest }) {
+    const plan = await requestContinuityPlan(this.openai, {
+      scriptSegments,
+      locations,
+      product: params.product,
+      productHandling: baseDescriptions.productHandling,
+      language: params.language,
+      label: '[OpenAI]'
     });
     
-    const sentences = script.match(/[^.!?]+[.!?]+/g) || [script];
-    
-    const rawSegments = [];
-    let currentSegment = '';
-    let currentWordCount = 0;
-    
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i].trim();
-      const sentenceWords = sentence.split(/\s+/).length;
-      
-      if (currentSegment === '') {
-        currentSegment = sentence;
-        currentWordCount = sentenceWords;
-        
-        while (currentWordCount < minWordsFor6Seconds && i + 1 < sentences.length) {
-          i++;
-          const nextSentence = sentences[i].trim();
-          const nextWords = nextSentence.split(/\s+/).length;
-          
-          if (currentWordCount + nextWords > maxWordsFor8Seconds) {
-            if (currentWordCount < minWordsFor6Seconds) {
-              currentSegment += ' ' + nextSentence;
-              currentWordCount += nextWords;
-            } else {
-              i--;
-              break;
-            }
-          } else {
-            currentSegment += ' ' + nextSentence;
-            currentWordCount += nextWords;
-          }
-        }
-        
-        rawSegments.push(currentSegment);
-        currentSegment = '';
-        currentWordCount = 0;
-      }
-    }
+    console.log(`[OpenAI] Generating ${scriptSegments.length} segments in parallel (up to ${GENERATION_CONCURRENCY} at a time)...`);
+    const results = await runConcurrently(scriptSegments.length, async (i) => {
+      console.log(`[OpenAI] Generating segment ${i + 1}/${scriptSegments.length}`);
+      const generated = await this.generateSegment({
+        ...segmentRequest(i),
+        previousSegment: null,
+        continuity: plan[i]
+      });
+      return this.validateGeneratedSegment(generated, params.jsonFormat || 'standard', `Segment ${i + 1}`);
+    });
     
-    const finalSegments = [];
+    const { segments, adjustments } = alignSegments(results.map(result => result.segment), { plan, baseDescriptions, locations });
+    console.log(`[OpenAI] Consistency pass adjusted ${adjustments.length} field(s)`);
     
-    for (let i = 0; i < rawSegments.length; i++) {
-      const segment = rawSegments[i];
-      const wordCount = segment.split(/\s+/).length;
-      const duration = wordCount / wordsPerSecond;
-      
-      console.log(`[OpenAI] Raw segment ${i + 1}: ${wordCount} words, ~${duration.toFixed(1)}s speaking time`);
-      
-      if (wordCount < minWordsFor6Seconds && i < rawSegments.length - 1) {
-        const nextSegment = rawSegments[i + 1];
-        const nextWords = nextSegment.split(/\s+/).length;
-        
-        if (nextWords > minWordsFor6Seconds) {
-          const nextSentences = nextSegment.match(/[^.!?]+[.!?]+/g) || [nextSegment];
-          if (nextSentences.length > 1) {
-            const borrowedSentence = nextSentences[0];
-            const borrowedWords = borrowedSentence.split(/\s+/).length;
-            
-            if (wordCount + borrowedWords <= maxWordsFor8Seconds) {
-              finalSegments.push(segment + ' ' + borrowedSentence);
-              rawSegments[i + 1] = nextSentences.slice(1).join(' ');
-              continue;
-            }
-          }
-        }
-        
-        if (i < rawSegments.length - 1) {
-          const merged = segment + ' ' + rawSegments[i + 1];
-          const mergedWords = merged.split(/\s+/).length;
-          
-          if (mergedWords <= 30) { // Reasonable upper limit
-            finalSegments.push(merged);
-            i++; // Skip next segment
-            continue;
-          }
-        }
-      }
-      
-      finalSegments.push(segment);
-    }
+    return {
+      segments,
+      validations: results.map(result => result.validation),
+      generation: { mode: 'parallel', concurrency: GENERATION_CONCURRENCY, continuityPlan: plan, adjustments }
+    };
+  }
+
+  async splitScript(script, { language = 'en', voiceType = null, energyLevel = null } = {}) {
+    // Honours the script markup (--- cuts, [location: ...] directives), then splits each
+    // part by syllable-based timing for the language and delivery (see scriptSplitter.js).
+    // Returns [{ text, seconds, syllables, settings, part }]
+    const segments = planMarkedScript(script, { language, voiceType, energyLevel });
     
-    console.log('[OpenAI] Final segment distribution:');
-    finalSegments.forEach((segment, i) => {
-      const wordCount = segment.split(/\s+/).length;
-      const duration = wordCount / wordsPerSecond;
-      console.log(`  Segment ${i + 1}: ${wordCount} words, ~${duration.toFixed(1)}s speaking time`);
+    console.log('[OpenAI] Final segment distribution:', { language, voiceType, energyLevel });
+    segments.forEach((segment, i) => {
+      console.log(`  Segment ${i + 1}: ${segment.syllables} syllables, ~${segment.seconds.toFixed(1)}s speaking time`);
       
-      if (duration < 6) {
-        console.warn(`  ⚠️  Segment ${i + 1} is under 6 seconds!`);
+      if (segment.seconds < SPLIT_LIMITS.minSeconds) {
+        console.warn(`  ⚠️  Segment ${i + 1} is under ${SPLIT_LIMITS.minSeconds} seconds!`);
       }
     });
     
-    return finalSegments;
+    return segments;
   }
 
+  // Per-segment dialogue, estimated speaking time and script directives, for the response
+  describeScriptSegments(scriptSegments) {
+    return scriptSegments.map(({ text, seconds, settings, part }, i) => ({ segmentNumber: i + 1, part, text, seconds, settings }));
+  }
+
+
   async generateBaseDescriptions(params, template) {
     console.log('[OpenAI] Calling API for base descriptions');
     try {
@@ -285,7 +255,7 @@ Visual Settings:
 - Camera Style: ${params.cameraStyle || 'static-handheld'}
 - Time of Day: ${params.timeOfDay || 'morning'}
 - Background Life: ${params.backgroundLife ? 'Include subtle background activity' : 'Focus only on character'}
-- Energy Level: ${this.getEnergyLevel(params.energyArc, params.segmentNumber, params.totalSegments)}
+- Energy Level: ${this.getEnergyLevel(params.energyArc, params.segmentNumber, params.totalSegments, params.energyOverride)}
 ${params.avatarMode === 'animal' ? `- Realism: Photorealistic look with cinematic lighting, eye speculars, subtle motion blur, micro-fur dynamics.` : ''}
 ${isSpanish ? `- Language: Spanish (es)${params.accentRegion ? ` with ${params.accentRegion} accent` : ''}` : ''}
 
@@ -299,7 +269,8 @@ Base Voice: ${params.baseDescriptions.voice}`}
 General Environment: ${params.baseDescriptions.environment}
 Product Handling: ${params.baseDescriptions.productHandling || 'Natural handling'}
 
-${params.previousSegment ? `Previous segment ended with:\nPosition: ${params.previousSegment.action_timeline.transition_prep}` : 'This is the opening segment.'}
+${describeContinuity(params)}
+${describeRegeneration(params)}
 
 ${params.avatarMode === 'animal' ? `Lip-Sync and Facial Acting Requirements:\n- Map mouth/jaw/muzzle shapes to visemes matching the line delivery.\n- Include a "lip_sync" section in action_timeline with a viseme_timeline covering 0:00-0:08 at ~0.5s granularity (e.g., {"0:00-0:01": "M/B/P closed", "0:01-0:02": "AA wide", ...}).\n- Include "eye_dynamics" with natural blink cadence (every 3-5s with occasional double-blink), micro saccades, and gaze shifts tied to emphasis.\n- Include "facial_acting" describing micro-expressions synchronized to meanings, jaw rotation degrees (approx), and tongue/teeth visibility rules where species-accurate.\n- Avoid cartoonish exaggeration; keep physically plausible for a real ${params.animal?.species || 'animal'}.` : ''}
 
@@ -316,7 +287,7 @@ ${params.avatarMode === 'animal' ? '5. action_timeline must include lip_sync, an
       max_tokens: 4500
       });
       
-      const parsed = JSON.parse(response.choices[0].message.content);
+      const parsed = parseModelJson(response.choices[0].message.content, `Segment ${params.segmentNumber}`);
       
       // Add language metadata for Spanish mode
       if (isSpanish) {
@@ -348,6 +319,13 @@ ${params.avatarMode === 'animal' ? '5. action_timeline must include lip_sync, an
     }
   }
 
+  // Check a generated segment against its format's JSON Schema and ask the
+  // model to fill in whatever is missing or malformed.
+  // Returns { segment, validation }
+  async validateGeneratedSegment(segment, format, label) {
+    return validateAndRepairSegment(segment, { format, openai: this.openai, label });
+  }
+
   generateCharacterId(params) {
     return `${(params.avatarMode==='animal'?params.animal?.species:'human')}_${params.gender || 'N/A'}_${params.ageRange || 'N/A'}_${Date.now()}`.replace(/\s+/g, '_');
   }
@@ -381,25 +359,21 @@ ${params.avatarMode === 'animal' ? '5. action_timeline must include lip_sync, an
 
   async generateSegmentsWithVoiceProfile(params) {
     console.log('[OpenAI] Generating ALL segments with voice profile focus');
+    if (params.generationMode === 'parallel') {
+      // Every segment is written against the voice profile taken from the first one
+      console.log('[OpenAI] Voice profile mode generates segments sequentially; ignoring generationMode parallel');
+    }
     
     // Step 1: Generate first segment with full detail
     const firstSegmentParams = { ...params, jsonFormat: 'enhanced' };
     const template = await this.loadTemplate('enhanced');
     
     // Split script into segments
-    const scriptSegments = await this.splitScript(params.script);
+    const scriptSegments = await this.splitScript(params.script, params);
     console.log('[OpenAI] Script split into', scriptSegments.length, 'segments');
     
-    // Prepare location data (same as standard mode)
-    let locations = [];
-    if (params.settingMode === 'single') {
-      locations = Array(scriptSegments.length).fill(params.room);
-    } else {
-      locations = params.locations || [];
-      while (locations.length < scriptSegments.length) {
-        locations.push(locations[locations.length - 1] || 'living room');
-      }
-    }
+    // One location per segment; [location: ...] directives in the script win
+    const locations = resolveSegmentLocations(scriptSegments, params);
     
     // Generate base descriptions (for first segment)
     console.log('[OpenAI] Generating base descriptions...');
@@ -407,41 +381,47 @@ ${params.avatarMode === 'animal' ? '5. action_timeline must include lip_sync, an
     
     // Generate first segment with full detail
     console.log('[OpenAI] Generating first segment with full detail...');
-    const firstSegment = await this.generateSegment({
+    const generatedFirst = await this.generateSegment({
       segmentNumber: 1,
       totalSegments: scriptSegments.length,
-      scriptPart: scriptSegments[0],
+      scriptPart: scriptSegments[0].text,
       baseDescriptions,
       previousSegment: null,
       template,
       currentLocation: locations[0],
       previousLocation: null,
       nextLocation: locations.length > 1 ? locations[1] : null,
-      ...firstSegmentParams
+      ...firstSegmentParams,
+      ...scriptSegments[0].settings
     });
+    const { segment: firstSegment, validation: firstValidation } = await this.validateGeneratedSegment(generatedFirst, 'enhanced', 'Segment 1');
     
     // Extract voice profile from first segment
     const voiceProfile = await this.extractDetailedVoiceProfile(firstSegment, params);
     
     // Generate remaining segments with voice/behavior focus
     const segments = [firstSegment];
+    const validations = [firstValidation];
     console.log('[OpenAI] Generating remaining segments with voice/behavior focus...');
     
     for (let i = 1; i < scriptSegments.length; i++) {
       console.log(`[OpenAI] Generating segment ${i + 1}/${scriptSegments.length}`);
-      const segment = await this.generateContinuationStyleSegment({
+      const generated = await this.generateContinuationStyleSegment({
         segmentNumber: i + 1,
         totalSegments: scriptSegments.length,
-        scriptPart: scriptSegments[i],
+        scriptPart: scriptSegments[i].text,
         baseDescriptions,
         previousSegment: segments[i - 1],
         voiceProfile,
         currentLocation: locations[i],
         previousLocation: i > 0 ? locations[i - 1] : null,
         nextLocation: i < locations.length - 1 ? locations[i + 1] : null,
-        ...params
+        ...params,
+        ...scriptSegments[i].settings
       });
+      const { segment, validation } = await this.validateGeneratedSegment(generated, params.jsonFormat || 'standard', `Segment ${i + 1}`);
       segments.push(segment);
+      validations.push(validation);
     }
     
     return {
@@ -449,12 +429,40 @@ ${params.avatarMode === 'animal' ? '5. action_timeline must include lip_sync, an
       metadata: {
         totalSegments: segments.length,
         estimatedDuration: segments.length * 8,
-        characterId: this.generateCharacterId(params)
+        characterId: this.generateCharacterId(params),
+        scriptSegments: this.describeScriptSegments(scriptSegments),
+        generation: { mode: 'sequential' }
       },
-      voiceProfile
+      voiceProfile,
+      baseDescriptions,
+      validation: summarizeValidation(validations)
     };
   }
 
+  // Regenerate one segment of an existing run with its base descriptions and
+  // neighbours; runs with a voice profile use the continuation-style generator
+  // after the first segment. Returns { segment, segments, validation, adjustments }
+  async regenerateSegment({ baseDescriptions, segments, voiceProfile = null, params = {}, index, dialogue, notes }) {
+    console.log(`[OpenAI] Regenerating segment ${index + 1}/${segments.length}`);
+    const { request, locations } = regenerationRequest({ baseDescriptions, segments, params, index, dialogue, notes });
+    
+    let generated;
+    let format = params.jsonFormat || 'standard';
+    if (voiceProfile && index > 0) {
+      generated = await this.generateContinuationStyleSegment({ ...request, voiceProfile });
+    } else {
+      // The first segment of a voice profile run is always enhanced
+      if (voiceProfile) format = 'enhanced';
+      const template = await this.loadTemplate(format);
+      generated = await this.generateSegment({ ...request, jsonFormat: format, template });
+    }
+    
+    const { segment, validation } = await this.validateGeneratedSegment(generated, format, `Segment ${index + 1}`);
+    const aligned = alignNeighbours(segments, index, segment, { baseDescriptions, locations });
+    
+    return { segment: aligned.segments[index], segments: aligned.segments, validation, adjustments: aligned.adjustments };
+  }
+
   async extractDetailedVoiceProfile(segment, params) {
     console.log('[OpenAI] Extracting detailed voice profile');
     
@@ -535,6 +543,14 @@ Return a JSON object with:
     
     try {
       const isSpanish = (params.language || '').toLowerCase() === 'es';
+      
+      // Show the model the frame to continue from when it can be fetched;
+      // anything else is only named in the prompt
+      const imageSource = params.image ? toDataUrl(params.image) : parseImageUrl(params.imageUrl);
+      const imageContext = imageSource
+        ? "The attached image is the frame this segment starts from. Match the character's appearance, clothing, position, framing and lighting exactly."
+        : `Character from screenshot at ${params.imageUrl}`;
+      
       const response = await this.openai.chat.completions.create({
         model: "gpt-4o",
         messages: [
@@ -544,9 +560,12 @@ Return a JSON object with:
           },
           {
             role: "user",
-            content: `Create a continuation segment:
+            content: [
+              {
+                type: "text",
+                text: `Create a continuation segment:
 
-Image Context: Character from screenshot at ${params.imageUrl}
+Image Context: ${imageContext}
 Previous Dialogue: "${params.previousSegment?.action_timeline?.dialogue || 'N/A'}"
 New Dialogue: "${params.script}"
 Product: ${params.product}
@@ -559,6 +578,12 @@ Voice Profile to Match EXACTLY:
 ${JSON.stringify(params.voiceProfile, null, 2)}
 
 Generate the JSON following the continuation minimal structure.`
+              },
+              ...(imageSource ? [{
+                type: "image_url",
+                image_url: { url: imageSource }
+              }] : [])
+            ]
           }
         ],
         response_format: { type: "json_object" },
@@ -566,7 +591,7 @@ Generate the JSON following the continuation minimal structure.`
         max_tokens: 3000
       });
       
-      const segment = JSON.parse(response.choices[0].message.content);
+      const segment = parseModelJson(response.choices[0].message.content, 'Continuation segment');
       
       // Add language metadata for Spanish mode
       if (isSpanish) {
@@ -639,7 +664,7 @@ Visual Settings:
 - Camera Style: ${params.cameraStyle || 'static-handheld'}
 - Time of Day: ${params.timeOfDay || 'morning'}
 - Background Life: ${params.backgroundLife ? 'Include subtle background activity' : 'Focus only on character'}
-- Energy Level: ${this.getEnergyLevel(params.energyArc, params.segmentNumber, params.totalSegments)}
+- Energy Level: ${this.getEnergyLevel(params.energyArc, params.segmentNumber, params.totalSegments, params.energyOverride)}
 
 Base Descriptions (USE EXACTLY AS PROVIDED):
 ${params.avatarMode === 'animal' ? `Animal Physical: ${params.baseDescriptions.animal_physical}
@@ -655,6 +680,7 @@ ${JSON.stringify(params.voiceProfile, null, 2)}
 
 ${params.previousSegment ? `Previous segment ended with:
 Position: ${params.previousSegment.action_timeline?.transition_prep || params.previousSegment.segment_info?.continuity_markers?.end_position}` : ''}
+${describeRegeneration(params)}
 
 CRITICAL REQUIREMENTS:
 1. Generate the complete JSON with standard structure
@@ -669,7 +695,7 @@ CRITICAL REQUIREMENTS:
         max_tokens: 4000
       });
       
-      const segment = JSON.parse(response.choices[0].message.content);
+      const segment = parseModelJson(response.choices[0].message.content, `Segment ${params.segmentNumber}`);
       
       // Add language metadata for Spanish mode
       const isSpanish = (params.language || '').toLowerCase() === 'es';
@@ -712,7 +738,12 @@ CRITICAL REQUIREMENTS:
     }
   }
 
-  getEnergyLevel(energyArc, segmentNumber, totalSegments) {
+  getEnergyLevel(energyArc, segmentNumber, totalSegments, override = null) {
+    // An [energy: N] directive in the script wins over the arc
+    if (override !== null && override !== undefined) {
+      return `${override}% - Set for this segment in the script`;
+    }
+    
     const progress = segmentNumber / totalSegments;
     
     switch (energyArc) {
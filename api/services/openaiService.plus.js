@@ -2,6 +2,10 @@ import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseModelJson, summarizeValidation, validateAndRepairSegment } from './segmentValidator.js';
+import { alignSegments, describeContinuity, GENERATION_CONCURRENCY, requestContinuityPlan, resolveGenerationMode, runConcurrently } from './parallelGeneration.js';
+import { alignNeighbours, describeRegeneration, regenerationRequest } from './segmentRegeneration.js';
+import { planMarkedScript, resolveSegmentLocations, SPLIT_LIMITS } from './scriptSplitter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -103,27 +107,25 @@ class OpenAIServicePlus {
   async generateSegments(params) {
     console.log('[OpenAI Plus] Starting generation with format:', params.jsonFormat || 'standard');
     console.log('[OpenAI Plus] Setting mode:', params.settingMode || 'single');
+    const generationMode = resolveGenerationMode(params.generationMode);
+    console.log('[OpenAI Plus] Generation mode:', generationMode);
     const template = await this.loadTemplate(params.jsonFormat);
     
-    const scriptSegments = await this.splitScript(params.script);
+    const scriptSegments = await this.splitScript(params.script, params);
     console.log('[OpenAI Plus] Script split into', scriptSegments.length, 'segments');
     
-    let locations = [];
+    // ai-inspired asks the model for one location per segment; [location: ...]
+    // directives in the script win either way
+    let inferred = null;
     if (params.settingMode === 'ai-inspired') {
-      locations = await this.inferLocationsFromScript({
-        script: params.script,
+      inferred = await this.inferLocationsFromScript({
+        script: scriptSegments.map(segment => segment.text).join(' '),
         desiredCount: scriptSegments.length,
         product: params.product,
         style: params.style
       });
-    } else if (params.settingMode === 'single') {
-      locations = Array(scriptSegments.length).fill(params.room);
-    } else {
-      locations = params.locations || [];
-      while (locations.length < scriptSegments.length) {
-        locations.push(locations[locations.length - 1] || 'living room');
-      }
     }
+    const locations = resolveSegmentLocations(scriptSegments, params, inferred);
     
     console.log('[OpenAI Plus] Locations resolved:', locations);
     
@@ -131,23 +133,69 @@ class OpenAIServicePlus {
     const baseDescriptions = await this.generateBaseDescriptions({ ...params, locations }, template);
     console.log('[OpenAI Plus] Base descriptions generated');
     
-    const segments = [];
-    console.log('[OpenAI Plus] Generating individual segments...');
-    for (let i = 0; i < scriptSegments.length; i++) {
-      console.log(`[OpenAI Plus] Generating segment ${i + 1}/${scriptSegments.length}`);
-      const segment = await this.generateSegment({
-        segmentNumber: i + 1,
-        totalSegments: scriptSegments.length,
-        scriptPart: scriptSegments[i],
-        baseDescriptions,
-        previousSegment: segments[i - 1] || null,
-        template,
-        currentLocation: locations[i],
-        previousLocation: i > 0 ? locations[i - 1] : null,
-        nextLocation: i < locations.length - 1 ? locations[i + 1] : null,
-        ...params
+    // Inferred once for the whole script so every segment uses the same list
+    let inferredCamera;
+    if (params.cameraStyle === 'ai-inspired') {
+      inferredCamera = await this.inferCameraFromScript({
+        script: params.script,
+        desiredCount: scriptSegments.length,
+        product: params.product,
+        style: params.style
+      });
+    }
+    
+    const format = params.jsonFormat === 'enhanced' ? 'enhanced' : 'plus';
+    const segmentRequest = (i) => ({
+      segmentNumber: i + 1,
+      totalSegments: scriptSegments.length,
+      scriptPart: scriptSegments[i].text,
+      baseDescriptions,
+      template,
+      currentLocation: locations[i],
+      previousLocation: i > 0 ? locations[i - 1] : null,
+      nextLocation: i < locations.length - 1 ? locations[i + 1] : null,
+      _inferredCamera: inferredCamera,
+      ...params,
+      ...scriptSegments[i].settings
+    });
+    const generateChecked = async (request) => {
+      const { segment, validation } = await validateAndRepairSegment(await this.generateSegment(request), {
+        format,
+        openai: this.openai,
+        label: `Segment ${request.segmentNumber}`
+      });
+      return { segment: sanitizeSegmentForPlausibility(segment), validation };
+    };
+    
+    let segments = [];
+    let validations = [];
+    let generation = { mode: 'sequential' };
+    if (generationMode === 'parallel') {
+      const plan = await requestContinuityPlan(this.openai, {
+        scriptSegments,
+        locations,
+        product: params.product,
+        productHandling: baseDescriptions.productHandling,
+        label: '[OpenAI Plus]'
+      });
+      console.log(`[OpenAI Plus] Generating ${scriptSegments.length} segments in parallel (up to ${GENERATION_CONCURRENCY} at a time)...`);
+      const results = await runConcurrently(scriptSegments.length, (i) => {
+        console.log(`[OpenAI Plus] Generating segment ${i + 1}/${scriptSegments.length}`);
+        return generateChecked({ ...segmentRequest(i), previousSegment: null, continuity: plan[i] });
       });
-      segments.push(sanitizeSegmentForPlausibility(segment));
+      const aligned = alignSegments(results.map(result => result.segment), { plan, baseDescriptions, locations });
+      console.log(`[OpenAI Plus] Consistency pass adjusted ${aligned.adjustments.length} field(s)`);
+      segments = aligned.segments;
+      validations = results.map(result => result.validation);
+      generation = { mode: 'parallel', concurrency: GENERATION_CONCURRENCY, continuityPlan: plan, adjustments: aligned.adjustments };
+    } else {
+      console.log('[OpenAI Plus] Generating individual segments...');
+      for (let i = 0; i < scriptSegments.length; i++) {
+        console.log(`[OpenAI Plus] Generating segment ${i + 1}/${scriptSegments.length}`);
+        const { segment, validation } = await generateChecked({ ...segmentRequest(i), previousSegment: segments[i - 1] || null });
+        segments.push(segment);
+        validations.push(validation);
+      }
     }
     
     return {
@@ -155,117 +203,51 @@ class OpenAIServicePlus {
       metadata: {
         totalSegments: segments.length,
         estimatedDuration: segments.length * 8,
-        characterId: this.generateCharacterId(params)
-      }
+        characterId: this.generateCharacterId(params),
+        scriptSegments: scriptSegments.map(({ text, seconds, settings, part }, i) => ({ segmentNumber: i + 1, part, text, seconds, settings })),
+        generation
+      },
+      // Needed to regenerate a single segment later (POST /api/segments/regenerate)
+      baseDescriptions,
+      validation: summarizeValidation(validations)
     };
   }
 
-  async splitScript(script) {
-    const wordsPerSecond = 150 / 60;
-    const minWordsFor6Seconds = 15;
-    const targetWordsFor8Seconds = 20;
-    const maxWordsFor8Seconds = 22;
+  // Regenerate one segment of an existing run with its base descriptions and
+  // neighbours. Returns { segment, segments, validation, adjustments }
+  async regenerateSegment({ baseDescriptions, segments, params = {}, index, dialogue, notes }) {
+    console.log(`[OpenAI Plus] Regenerating segment ${index + 1}/${segments.length}`);
+    const { request, locations } = regenerationRequest({ baseDescriptions, segments, params, index, dialogue, notes });
+    const template = await this.loadTemplate(params.jsonFormat);
     
-    console.log('[OpenAI Plus] Script splitting parameters:', {
-      minWords: minWordsFor6Seconds,
-      targetWords: targetWordsFor8Seconds,
-      maxWords: maxWordsFor8Seconds
+    const { segment, validation } = await validateAndRepairSegment(await this.generateSegment({ ...request, template }), {
+      format: params.jsonFormat === 'enhanced' ? 'enhanced' : 'plus',
+      openai: this.openai,
+      label: `Segment ${index + 1}`
     });
+    const aligned = alignNeighbours(segments, index, sanitizeSegmentForPlausibility(segment), { baseDescriptions, locations });
     
-    const sentences = script.match(/[^.!?]+[.!?]+/g) || [script];
-    
-    const rawSegments = [];
-    let currentSegment = '';
-    let currentWordCount = 0;
-    
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i].trim();
-      const sentenceWords = sentence.split(/\s+/).length;
-      
-      if (currentSegment === '') {
-        currentSegment = sentence;
-        currentWordCount = sentenceWords;
-        
-        while (currentWordCount < minWordsFor6Seconds && i + 1 < sentences.length) {
-          i++;
-          const nextSentence = sentences[i].trim();
-          const nextWords = nextSentence.split(/\s+/).length;
-          
-          if (currentWordCount + nextWords > maxWordsFor8Seconds) {
-            if (currentWordCount < minWordsFor6Seconds) {
-              currentSegment += ' ' + nextSentence;
-              currentWordCount += nextWords;
-            } else {
-              i--;
-              break;
-            }
-          } else {
-            currentSegment += ' ' + nextSentence;
-            currentWordCount += nextWords;
-          }
-        }
-        
-        rawSegments.push(currentSegment);
-        currentSegment = '';
-        currentWordCount = 0;
-      }
-    }
-    
-    const finalSegments = [];
+    return { segment: aligned.segments[index], segments: aligned.segments, validation, adjustments: aligned.adjustments };
+  }
+
+  async splitScript(script, { language = 'en', voiceType = null, energyLevel = null } = {}) {
+    // Script markup (--- cuts, [location: ...] directives) first, then syllable-based
+    // timing for the language and delivery (see scriptSplitter.js)
+    const segments = planMarkedScript(script, { language, voiceType, energyLevel });
     
-    for (let i = 0; i < rawSegments.length; i++) {
-      const segment = rawSegments[i];
-      const wordCount = segment.split(/\s+/).length;
-      const duration = wordCount / wordsPerSecond;
-      
-      console.log(`[OpenAI Plus] Raw segment ${i + 1}: ${wordCount} words, ~${duration.toFixed(1)}s speaking time`);
+    console.log('[OpenAI Plus] Final segment distribution:', { language, voiceType, energyLevel });
+    segments.forEach((segment, i) => {
+      console.log(`  Segment ${i + 1}: ${segment.syllables} syllables, ~${segment.seconds.toFixed(1)}s speaking time`);
       
-      if (wordCount < minWordsFor6Seconds && i < rawSegments.length - 1) {
-        const nextSegment = rawSegments[i + 1];
-        const nextWords = nextSegment.split(/\s+/).length;
-        
-        if (nextWords > minWordsFor6Seconds) {
-          const nextSentences = nextSegment.match(/[^.!?]+[.!?]+/g) || [nextSegment];
-          if (nextSentences.length > 1) {
-            const borrowedSentence = nextSentences[0];
-            const borrowedWords = borrowedSentence.split(/\s+/).length;
-            
-            if (wordCount + borrowedWords <= maxWordsFor8Seconds) {
-              finalSegments.push(segment + ' ' + borrowedSentence);
-              rawSegments[i + 1] = nextSentences.slice(1).join(' ');
-              continue;
-            }
-          }
-        }
-        
-        if (i < rawSegments.length - 1) {
-          const merged = segment + ' ' + rawSegments[i + 1];
-          const mergedWords = merged.split(/\s+/).length;
-          
-          if (mergedWords <= 30) {
-            finalSegments.push(merged);
-            i++;
-            continue;
-          }
-        }
-      }
-      
-      finalSegments.push(segment);
-    }
-    
-    console.log('[OpenAI Plus] Final segment distribution:');
-    finalSegments.forEach((segment, i) => {
-      const wordCount = segment.split(/\s+/).length;
-      const duration = wordCount / wordsPerSecond;
-      console.log(`  Segment ${i + 1}: ${wordCount} words, ~${duration.toFixed(1)}s speaking time`);
-      if (duration < 6) {
-        console.warn(`  ⚠️  Segment ${i + 1} is under 6 seconds!`);
+      if (segment.seconds < SPLIT_LIMITS.minSeconds) {
+        console.warn(`  ⚠️  Segment ${i + 1} is under ${SPLIT_LIMITS.minSeconds} seconds!`);
       }
     });
     
-    return finalSegments;
+    return segments;
   }
 
+
   async inferLocationsFromScript({ script, desiredCount, product, style }) {
     console.log('[OpenAI Plus] Inferring locations from script');
     try {
@@ -425,7 +407,7 @@ Visual Settings:
 - Camera Style: ${cameraStyle}
 - Time of Day: ${params.timeOfDay || 'morning'}
 - Background Life: ${params.backgroundLife ? 'Include subtle background activity' : 'Focus only on character'}
-- Energy Level: ${this.getEnergyLevel(params.energyArc, params.segmentNumber, params.totalSegments)}
+- Energy Level: ${this.getEnergyLevel(params.energyArc, params.segmentNumber, params.totalSegments, params.energyOverride)}
 
 Environment Realism Guardrails:
 - If location is INDOOR (living room, bedroom, bathroom, home office, kitchen, dining room, hallway, entryway, laundry room, walk-in closet): do NOT place outdoor-only equipment (solar panels, roof arrays, diesel generators) inside; instead reference "monitoring display", "wall controls" or "status panel".
@@ -446,13 +428,14 @@ Character Guidance (MUST NOT CONTRADICT BASE):
 - Clothing Details: ${params.clothingDetails || 'unspecified'}
 - Accent/Region: ${params.accentRegion || 'neutral-american'}
 
-${params.previousSegment ? `Previous segment ended with:\nPosition: ${params.previousSegment.action_timeline.transition_prep}` : 'This is the opening segment.'}
+${describeContinuity(params)}
+${describeRegeneration(params)}
 
 CRITICAL MOVEMENT RULE:
 - The character MUST NOT walk away or exit the frame at the end of the segment. Keep the character within frame; use a stationary or minimal-movement hold (e.g., maintains eye contact, subtle nod, gentle breath). Set transition_prep to reflect staying in place.
 
 Generate the complete JSON with:
-1. segment_info (${isEnhanced ? 'with continuity_markers' : 'with overlap instructions'})
+1. segment_info (location: ${params.currentLocation}; ${isEnhanced ? 'with continuity_markers' : 'with overlap instructions'})
 2. character_description (using base descriptions verbatim + current state; NEVER change base appearance)
 3. scene_continuity (adapt base environment to current location: ${params.currentLocation})
 4. action_timeline (${isEnhanced ? 'with synchronized_actions, micro_expressions, breathing_rhythm' : 'synchronized with dialogue'})
@@ -466,7 +449,7 @@ Hard rule: No subtitles/on-screen text/captions/SFX/music in any field.`
         max_tokens: 5000
       });
       
-      const parsed = JSON.parse(response.choices[0].message.content);
+      const parsed = parseModelJson(response.choices[0].message.content, `Segment ${params.segmentNumber}`);
       return parsed;
     } catch (error) {
       console.error('[OpenAI Plus] Error in generateSegment:', error);
@@ -478,7 +461,11 @@ Hard rule: No subtitles/on-screen text/captions/SFX/music in any field.`
     return `${params.gender}_${params.ageRange}_${Date.now()}_plus`.replace(/\s+/g, '_');
   }
 
-  getEnergyLevel(energyArc, segmentNumber, totalSegments) {
+  getEnergyLevel(energyArc, segmentNumber, totalSegments, override = null) {
+    if (override !== null && override !== undefined) {
+      return `${override}% - Set for this segment in the script`;
+    }
+    
     const progress = segmentNumber / totalSegments;
     
     switch (energyArc) {
@@ -0,0 +1,156 @@
+import { ServiceError } from './errors.js';
+import { parseModelJson } from './segmentValidator.js';
+import { SubmissionQueue } from './submissionQueue.js';
+
+// Parallel segment generation. Sequential runs hand every segment the one
+// before it, so each call waits for the previous one. In parallel mode the
+// generator asks once for a continuity plan (where the character starts and
+// ends each segment), generates every segment against its plan entry at the
+// same time, and then lines up what came back (alignSegments).
+
+export const GENERATION_MODES = ['sequential', 'parallel'];
+
+// Segment calls in flight on this instance, across all requests
+export const GENERATION_CONCURRENCY = Math.max(1, parseInt(process.env.SEGMENT_GENERATION_CONCURRENCY ?? '4', 10) || 1);
+
+const queue = new SubmissionQueue({ concurrency: GENERATION_CONCURRENCY, requestsPerMinute: Infinity });
+let runSequence = 0;
+
+const DEFAULT_POSITION = 'Centered in frame facing the camera, holding the product at chest height';
+const DEFAULT_EXPRESSION = 'Warm, engaged smile';
+
+export function resolveGenerationMode(mode) {
+  const resolved = mode || process.env.SEGMENT_GENERATION_MODE || 'sequential';
+  if (!GENERATION_MODES.includes(resolved)) {
+    throw new ServiceError(`generationMode must be one of ${GENERATION_MODES.join(', ')}`, 400, 'invalid_generation_mode');
+  }
+  return resolved;
+}
+
+// Runs task(i) for every index through the shared queue and resolves with the
+// results in index order. The first failure drops the tasks not yet started.
+export async function runConcurrently(count, task) {
+  const run = ++runSequence;
+  const keys = Array.from({ length: count }, (_, i) => `run-${run}:segment-${i + 1}`);
+  try {
+    return await Promise.all(keys.map((key, i) => queue.enqueue(key, () => task(i))));
+  } catch (error) {
+    keys.forEach(key => queue.cancel(key, error));
+    throw error;
+  }
+}
+
+function text(value, fallback) {
+  return typeof value === 'string' && value.trim() ? value.trim() : fallback;
+}
+
+// Exactly one entry per segment. Within one location a segment starts where
+// the previous one ended, whatever the model proposed.
+function normalizePlan(entries, locations) {
+  const plan = [];
+  for (let i = 0; i < locations.length; i++) {
+    const entry = entries[i] || {};
+    const previous = plan[i - 1];
+    const sameLocation = previous && locations[i] === locations[i - 1];
+    plan.push({
+      segmentNumber: i + 1,
+      location: locations[i] ?? null,
+      start_position: sameLocation ? previous.end_position : text(entry.start_position, DEFAULT_POSITION),
+      end_position: text(entry.end_position, DEFAULT_POSITION),
+      start_expression: sameLocation ? previous.end_expression : text(entry.start_expression, DEFAULT_EXPRESSION),
+      end_expression: text(entry.end_expression, DEFAULT_EXPRESSION)
+    });
+  }
+  return plan;
+}
+
+// One short request for the whole script. Falls back to a neutral plan, as a
+// missing plan should not fail the run.
+export async function requestContinuityPlan(openai, { scriptSegments, locations, product, productHandling, language, label = '[Continuity]' }) {
+  const isSpanish = (language || '').toLowerCase() === 'es';
+  console.log(`${label} Planning continuity for ${scriptSegments.length} segments`);
+  try {
+    const response = await openai.chat.completions.create({
+      model: "gpt-4o",
+      messages: [
+        {
+          role: "system",
+          content: `You plan the body positions of a UGC video that is generated as separate 8-second clips and cut together. Each clip must start exactly where the previous one ended. The character stays in frame and never walks away. Return only JSON.${isSpanish ? ' Write every value in Spanish (es).' : ''}`
+        },
+        {
+          role: "user",
+          content: `Product: ${product || 'N/A'}
+Product handling: ${productHandling || 'Natural handling'}
+
+Segments:
+${scriptSegments.map((segment, i) => `${i + 1}. [${locations[i] || 'same location'}] "${segment.text}"`).join('\n')}
+
+Return a JSON object with a single key 'segments': an array of ${scriptSegments.length} objects with start_position, end_position, start_expression and end_expression. Positions are one short sentence each (posture, hands, product, framing). When the location changes, the segment starts with the character already in the new location.`
+        }
+      ],
+      response_format: { type: "json_object" },
+      temperature: 0.4,
+      max_tokens: 200 + scriptSegments.length * 150
+    });
+    const parsed = parseModelJson(response.choices[0].message.content, 'Continuity plan');
+    return normalizePlan(Array.isArray(parsed.segments) ? parsed.segments : [], locations);
+  } catch (error) {
+    console.error(`${label} Continuity plan failed, falling back to a neutral plan:`, error.message);
+    return normalizePlan([], locations);
+  }
+}
+
+// Replaces "Previous segment ended with" in segment prompts
+export function describeContinuity(params) {
+  if (params.previousSegment) {
+    return `Previous segment ended with:\nPosition: ${params.previousSegment.action_timeline.transition_prep}`;
+  }
+  if (params.continuity) {
+    const { start_position, end_position, start_expression, end_expression } = params.continuity;
+    return `${params.segmentNumber === 1 ? 'This is the opening segment. ' : ''}The segments are generated separately and cut together, so follow this continuity plan exactly:
+Start: ${start_position} (${start_expression})
+End: ${end_position} (${end_expression})
+Set transition_prep to the end position.`;
+  }
+  return 'This is the opening segment.';
+}
+
+// Consistency pass over the finished segments: numbering, the base
+// descriptions the prompt asked for word-for-word, transition_prep from the
+// plan, and start markers that match the previous segment's end.
+// Returns { segments, adjustments: [{ segmentNumber, field }] }
+export function alignSegments(segments, { plan, baseDescriptions = {}, locations = [] }) {
+  const adjustments = [];
+  const aligned = segments.map((original, i) => {
+    const segment = structuredClone(original);
+    const segmentNumber = i + 1;
+    const set = (object, key, value, field) => {
+      if (!object || value === undefined || object[key] === value) return;
+      object[key] = value;
+      adjustments.push({ segmentNumber, field });
+    };
+
+    set(segment.segment_info, 'segment_number', segmentNumber, 'segment_info.segment_number');
+    set(segment.segment_info, 'total_segments', segments.length, 'segment_info.total_segments');
+    for (const key of ['physical', 'clothing']) {
+      if (typeof baseDescriptions[key] === 'string' && typeof segment.character_description?.[key] === 'string') {
+        set(segment.character_description, key, baseDescriptions[key], `character_description.${key}`);
+      }
+    }
+    if (segment.action_timeline && !text(segment.action_timeline.transition_prep, null)) {
+      set(segment.action_timeline, 'transition_prep', plan[i].end_position, 'action_timeline.transition_prep');
+    }
+    return segment;
+  });
+
+  for (let i = 1; i < aligned.length; i++) {
+    const previousEnd = aligned[i - 1].segment_info?.continuity_markers?.end_position;
+    const markers = aligned[i].segment_info?.continuity_markers;
+    if (previousEnd && markers && locations[i] === locations[i - 1] && markers.start_position !== previousEnd) {
+      markers.start_position = previousEnd;
+      adjustments.push({ segmentNumber: i + 1, field: 'segment_info.continuity_markers.start_position' });
+    }
+  }
+
+  return { segments: aligned, adjustments };
+}
@@ -0,0 +1,254 @@
+import { ServiceError } from './errors.js';
+import { detectSegmentFormat } from './segmentValidator.js';
+
+// Compiles a segment into the text prompt Veo receives. Every field the
+// templates define lands in one of the sections below, with its original
+// wording. When the prompt is over the token budget, fields are shortened in
+// truncation order (first listed is shortened first); dialogue and the
+// language instruction are never touched.
+
+// Veo reads at most ~1024 prompt tokens
+const DEFAULT_TOKEN_BUDGET = 1000;
+const MIN_TOKEN_BUDGET = 100;
+const MAX_TOKEN_BUDGET = 4000;
+// Rough average for English and Spanish prose; Veo's tokenizer is not public
+const CHARS_PER_TOKEN = 4;
+// Below this a shortened field says too little to keep
+const MIN_FIELD_CHARS = 40;
+
+const SECTIONS = [
+  ['subject', 'SUBJECT'],
+  ['setting', 'SETTING'],
+  ['action', 'ACTION TIMELINE'],
+  ['camera', 'CAMERA'],
+  ['lighting', 'LIGHTING'],
+  ['audio', 'AUDIO AND DIALOGUE'],
+  ['continuity', 'CONTINUITY']
+];
+
+const LANGUAGE_INSTRUCTIONS = {
+  es: 'IMPORTANT: This video must be generated entirely in Spanish. The character speaks Spanish with natural Spanish pronunciation and accent, and any on-screen text is in Spanish.'
+};
+
+// Objects (lip_sync, eye_dynamics, voice_specs, ...) become "key: value; key: value"
+function flatten(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value !== 'object') return String(value).trim() || null;
+  const parts = Object.entries(value)
+    .map(([key, inner]) => {
+      const text = flatten(inner);
+      return text ? `${key.replace(/_/g, ' ')}: ${text}` : null;
+    })
+    .filter(Boolean);
+  return parts.length > 0 ? parts.join('; ') : null;
+}
+
+function timeline(actions) {
+  if (!actions || typeof actions !== 'object') return flatten(actions);
+  const lines = Object.entries(actions)
+    .map(([range, action]) => {
+      const text = flatten(action);
+      return text ? `- ${range}: ${text}` : null;
+    })
+    .filter(Boolean);
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+function continuityMarkers(markers) {
+  if (!markers) return null;
+  const start = [markers.start_position, markers.start_expression].filter(Boolean).join(', ');
+  const end = [markers.end_position, markers.end_expression].filter(Boolean).join(', ');
+  return [start && `Starts: ${start}.`, end && `Ends: ${end}.`].filter(Boolean).join(' ') || null;
+}
+
+function previousEnding(previous) {
+  if (!previous) return null;
+  const markers = previous.segment_info?.continuity_markers;
+  return flatten(markers ? [markers.end_position, markers.end_expression].filter(Boolean).join(', ') : previous.action_timeline?.transition_prep);
+}
+
+function cleanDialogue(dialogue) {
+  return (dialogue || '')
+    .replace(/[!]{2,}/g, '!') // Max one exclamation
+    .replace(/[?]{2,}/g, '?') // Max one question mark
+    .replace(/[.]{4,}/g, '...') // Max three dots
+    .trim();
+}
+
+// Each field: id (used in truncationOrder and reports), section, optional label
+// and read(segment, context). `keep` fields are never shortened.
+const FIELDS = [
+  { id: 'physical', section: 'subject', read: s => s.character_description?.physical },
+  { id: 'clothing', section: 'subject', label: 'Wearing', read: s => s.character_description?.clothing },
+  { id: 'current_state', section: 'subject', label: 'Current state', read: s => s.character_description?.current_state },
+  { id: 'facial_acting', section: 'subject', label: 'Facial acting', read: s => s.character_description?.facial_acting },
+  { id: 'behavioral_consistency', section: 'subject', label: 'Mannerisms', read: s => s.character_description?.behavioral_consistency },
+  { id: 'location', section: 'setting', label: 'Location', read: s => s.segment_info?.location },
+  { id: 'environment', section: 'setting', read: s => s.scene_continuity?.environment },
+  { id: 'props_in_frame', section: 'setting', label: 'In frame', read: s => s.scene_continuity?.props_in_frame },
+  { id: 'synchronized_actions', section: 'action', read: s => timeline(s.action_timeline?.synchronized_actions) },
+  { id: 'micro_expressions', section: 'action', label: 'Micro-expressions', read: s => s.action_timeline?.micro_expressions },
+  { id: 'eye_dynamics', section: 'action', label: 'Eyes', read: s => s.action_timeline?.eye_dynamics },
+  { id: 'breathing_rhythm', section: 'action', label: 'Breathing', read: s => s.action_timeline?.breathing_rhythm },
+  { id: 'camera_position', section: 'camera', read: s => s.scene_continuity?.camera_position },
+  { id: 'camera_movements', section: 'camera', label: 'Movement', read: s => s.action_timeline?.camera_movements },
+  { id: 'lighting', section: 'lighting', read: s => s.scene_continuity?.lighting },
+  { id: 'lighting_state', section: 'lighting', read: s => s.scene_continuity?.lighting_state },
+  { id: 'dialogue', section: 'audio', keep: true, read: s => {
+    const dialogue = cleanDialogue(s.action_timeline?.dialogue);
+    return dialogue ? `The person says: "${dialogue}"` : null;
+  } },
+  { id: 'lip_sync', section: 'audio', label: 'Lip sync', read: s => s.action_timeline?.lip_sync },
+  { id: 'voice_matching', section: 'audio', label: 'Voice', read: s => s.character_description?.voice_matching },
+  { id: 'voice_specs', section: 'audio', label: 'Voice specs', read: s => s.voice_specs },
+  { id: 'voice_continuity', section: 'audio', label: 'Delivery', read: s => s.action_timeline?.voice_continuity },
+  { id: 'language', section: 'audio', keep: true, read: (s, context) =>
+    [LANGUAGE_INSTRUCTIONS[context.language], s.notes].filter(Boolean).join(' ') },
+  { id: 'continuity_markers', section: 'continuity', read: s => continuityMarkers(s.segment_info?.continuity_markers) },
+  { id: 'previous_segment', section: 'continuity', label: 'Continues from the previous clip, which ended', read: (s, context) =>
+    (s.segment_info?.continuity_markers ? null : previousEnding(context.previousSegment)) },
+  { id: 'transitions', section: 'continuity', label: 'Transition', read: s => s.scene_continuity?.transitions },
+  { id: 'transition_prep', section: 'continuity', label: 'Ends ready for', read: s => s.action_timeline?.transition_prep },
+  { id: 'continuity_note', section: 'continuity', read: s => s.segment_info?.continuity_note }
+];
+
+export const PROMPT_FIELDS = FIELDS.map(field => field.id);
+const SHORTENABLE = FIELDS.filter(field => !field.keep).map(field => field.id);
+
+// The long-form descriptions go first, the shot-defining details last
+const DEFAULT_TRUNCATION_ORDER = [
+  'behavioral_consistency', 'voice_continuity', 'voice_matching', 'breathing_rhythm', 'eye_dynamics',
+  'lip_sync', 'facial_acting', 'lighting_state', 'props_in_frame', 'transitions', 'continuity_note',
+  'voice_specs', 'environment', 'micro_expressions', 'lighting', 'camera_movements', 'clothing',
+  'physical', 'transition_prep', 'previous_segment', 'location', 'continuity_markers',
+  'camera_position', 'current_state', 'synchronized_actions'
+];
+
+// Fields each format's template asks for (instructions/*.md)
+const STANDARD_FIELDS = ['physical', 'clothing', 'current_state', 'environment', 'camera_position', 'props_in_frame', 'dialogue', 'synchronized_actions'];
+const FORMAT_FIELDS = {
+  standard: STANDARD_FIELDS,
+  plus: [...STANDARD_FIELDS, 'location'],
+  enhanced: [
+    'physical', 'clothing', 'current_state', 'voice_matching', 'location', 'environment', 'camera_position',
+    'props_in_frame', 'lighting', 'transitions', 'dialogue', 'synchronized_actions', 'micro_expressions', 'continuity_markers'
+  ],
+  continuation: ['current_state', 'clothing', 'environment', 'camera_position', 'transitions', 'dialogue', 'synchronized_actions', 'voice_specs']
+};
+
+function invalidOptions(message) {
+  return new ServiceError(`Invalid promptOptions: ${message}`, 400, 'invalid_prompt_options');
+}
+
+// Fields listed first are shortened first; the remaining ones keep the default order
+function mergeOrder(fields, source) {
+  const unknown = fields.filter(field => !SHORTENABLE.includes(field));
+  if (unknown.length > 0) {
+    throw invalidOptions(`${source} has unknown or protected field(s) ${unknown.join(', ')} (allowed: ${SHORTENABLE.join(', ')})`);
+  }
+  return [...new Set([...fields, ...DEFAULT_TRUNCATION_ORDER])];
+}
+
+// Resolve { tokenBudget, truncationOrder } from a request, falling back to
+// VEO_PROMPT_TOKEN_BUDGET / VEO_PROMPT_TRUNCATION_ORDER
+export function resolvePromptOptions(input = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw invalidOptions('must be an object');
+  }
+
+  const tokenBudget = Number(input.tokenBudget ?? process.env.VEO_PROMPT_TOKEN_BUDGET ?? DEFAULT_TOKEN_BUDGET);
+  if (!Number.isInteger(tokenBudget) || tokenBudget < MIN_TOKEN_BUDGET || tokenBudget > MAX_TOKEN_BUDGET) {
+    throw invalidOptions(`tokenBudget must be an integer between ${MIN_TOKEN_BUDGET} and ${MAX_TOKEN_BUDGET}`);
+  }
+
+  let truncationOrder = DEFAULT_TRUNCATION_ORDER;
+  if (input.truncationOrder !== undefined) {
+    if (!Array.isArray(input.truncationOrder)) throw invalidOptions('truncationOrder must be an array of field names');
+    truncationOrder = mergeOrder(input.truncationOrder, 'truncationOrder');
+  } else if (process.env.VEO_PROMPT_TRUNCATION_ORDER) {
+    truncationOrder = mergeOrder(process.env.VEO_PROMPT_TRUNCATION_ORDER.split(',').map(field => field.trim()).filter(Boolean), 'VEO_PROMPT_TRUNCATION_ORDER');
+  }
+
+  return { tokenBudget, truncationOrder };
+}
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// Cut at a sentence end when one is close enough, otherwise at a word
+function shorten(text, maxChars) {
+  const cut = text.slice(0, maxChars - 1);
+  const sentence = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('.\n'));
+  if (sentence >= maxChars * 0.6) return cut.slice(0, sentence + 1);
+  const word = cut.lastIndexOf(' ');
+  return `${(word > 0 ? cut.slice(0, word) : cut).replace(/[\s,;:]+$/, '')}…`;
+}
+
+function render(header, entries) {
+  const sections = SECTIONS
+    .map(([section, title]) => {
+      const lines = entries
+        .filter(entry => entry.section === section)
+        .map(entry => (entry.label ? `${entry.label}: ${entry.text}` : entry.text));
+      return lines.length > 0 ? `${title}:\n${lines.join('\n')}` : null;
+    })
+    .filter(Boolean);
+  return [header, ...sections].join('\n\n');
+}
+
+// Returns { prompt, format, tokens: { estimated, budget }, truncated, missing, overBudget }
+//   truncated: [{ field, fromTokens, toTokens, dropped }] in the order applied
+//   missing:   fields the segment's format defines that the segment lacks
+export function compileVeoPrompt(segment, {
+  language = 'es',
+  durationSeconds = 8,
+  previousSegment = null,
+  format = detectSegmentFormat(segment),
+  tokenBudget = DEFAULT_TOKEN_BUDGET,
+  truncationOrder = DEFAULT_TRUNCATION_ORDER
+} = {}) {
+  const context = { language, previousSegment };
+  const info = segment.segment_info || {};
+  const position = info.segment_number && info.total_segments ? ` (segment ${info.segment_number} of ${info.total_segments})` : '';
+  const header = `Create ${durationSeconds === 8 ? 'an' : 'a'} ${durationSeconds}-second realistic UGC-style video${position}.`;
+
+  const entries = FIELDS
+    .map(field => ({ ...field, text: flatten(field.read(segment, context)) }))
+    .filter(entry => entry.text);
+
+  const present = new Set(entries.map(entry => entry.id));
+  const missing = (FORMAT_FIELDS[format] || FORMAT_FIELDS.standard).filter(field => !present.has(field));
+
+  let prompt = render(header, entries);
+  const truncated = [];
+  for (const id of truncationOrder) {
+    const excessChars = prompt.length - tokenBudget * CHARS_PER_TOKEN;
+    if (excessChars <= 0) break;
+    const index = entries.findIndex(entry => entry.id === id && !entry.keep);
+    if (index === -1) continue;
+
+    const entry = entries[index];
+    const targetChars = entry.text.length - excessChars;
+    const fromTokens = estimateTokens(entry.text);
+    if (targetChars < MIN_FIELD_CHARS) {
+      entries.splice(index, 1);
+      truncated.push({ field: id, fromTokens, toTokens: 0, dropped: true });
+    } else {
+      entry.text = shorten(entry.text, targetChars);
+      truncated.push({ field: id, fromTokens, toTokens: estimateTokens(entry.text), dropped: false });
+    }
+    prompt = render(header, entries);
+  }
+
+  const estimated = estimateTokens(prompt);
+  return {
+    prompt,
+    format,
+    tokens: { estimated, budget: tokenBudget },
+    truncated,
+    missing,
+    // Every shortenable field was dropped and the prompt is still too long
+    overBudget: estimated > tokenBudget
+  };
+}
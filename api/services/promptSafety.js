@@ -0,0 +1,205 @@
+import { readFileSync } from 'fs';
+import { ServiceError } from './errors.js';
+
+// Pre-flight review of Veo prompts. Flags text that Veo's safety filters are
+// likely to reject (or that an ad should not contain) so the client can fix it
+// before anything is submitted. Nothing is removed silently: the only changes
+// are the rewrites listed in the config file, and each one is reported.
+
+export const SAFETY_CATEGORIES = ['brand', 'minor', 'real_person', 'medical_claim', 'unsafe_action'];
+const SEVERITIES = ['off', 'warning', 'block'];
+
+const DEFAULT_SEVERITY = {
+  brand: 'warning',
+  // Veo refuses most prompts depicting children, but a mention can be harmless
+  // ("my kids love it"), so it is up to the client to block
+  minor: 'warning',
+  real_person: 'warning',
+  medical_claim: 'warning',
+  unsafe_action: 'warning'
+};
+
+const DEFAULT_BRANDS = [
+  'Nike', 'Adidas', 'Coca-Cola', 'Pepsi', 'McDonald\'s', 'Starbucks', 'Apple', 'iPhone', 'Samsung',
+  'Google', 'Amazon', 'Disney', 'Marvel', 'Netflix', 'Tesla', 'Gucci', 'Louis Vuitton', 'Chanel',
+  'Red Bull', 'Lego', 'Barbie', 'Mickey Mouse', 'Spotify', 'Instagram', 'TikTok'
+];
+
+const DEFAULT_REAL_PEOPLE = [
+  'Taylor Swift', 'Beyoncé', 'Shakira', 'Bad Bunny', 'Lionel Messi', 'Messi', 'Cristiano Ronaldo',
+  'Elon Musk', 'Donald Trump', 'Joe Biden', 'Barack Obama', 'Kim Kardashian', 'Oprah'
+];
+
+// Term lists are matched case-insensitively as whole words (accents included)
+const DEFAULT_RULES = [
+  {
+    id: 'minor-terms',
+    category: 'minor',
+    // Not the speaker's own family ("my children"); kid, baby and bebé only with
+    // an article, as they are also slang ("this baby", "piel de bebé")
+    terms: '(?<!(my|our|mis|nuestr[oa]s) )(child(ren)?|toddlers?|infants?|teen(ager)?s?|minors?|school ?(boy|girl)s?|niños?|niñas?|adolescentes?|menores de edad)' +
+      '|(a|an|the|un|una|el|la|los|las|al|del) (little |young |pequeñ[oa]s? )?(kids?|bab(y|ies)|bebés?)',
+    message: 'Mentions a child or teenager',
+    suggestion: 'Describe an adult instead, or remove the person from the shot'
+  },
+  {
+    id: 'minor-age',
+    category: 'minor',
+    // Ages only, not durations ("lo uso desde hace 5 años", "more than 5 years")
+    terms: '(1[0-7]|[1-9])[ -]years?[ -]old|aged (1[0-7]|[1-9])' +
+      '|(?<!(más|menos|hace|después|antes|durante|desde|cada) )de (1[0-7]|[1-9]) años|(tiene|tengo|tienes|cumple) (1[0-7]|[1-9]) años|niñ[oa]s? de (1[0-7]|[1-9])',
+    message: 'Gives an age under 18',
+    suggestion: 'Describe an adult instead, or remove the age'
+  },
+  {
+    id: 'real-person-terms',
+    category: 'real_person',
+    terms: 'celebrit(y|ies)|famous (actor|actress|singer|athlete|person)|look-?alike|impersonat\\p{L}*|deepfake|president|prime minister|politician|famos[oa]s?|presidente',
+    message: 'Refers to a real or recognisable person',
+    suggestion: 'Describe a fictional character by appearance instead'
+  },
+  {
+    id: 'medical-claims',
+    category: 'medical_claim',
+    terms: 'cures?|cured|heals?|prevents? (cancer|disease|illness)|clinically proven|doctor[ -]recommended|FDA[ -]approved|miracle|guaranteed results?|lose \\d+ ?(kg|kilos?|lbs?|pounds)|weight loss|cura|previene|clínicamente probado|bajar de peso|adelgazar',
+    message: 'Makes a medical or health claim',
+    suggestion: 'Describe how the product is used rather than what it treats'
+  },
+  {
+    id: 'unsafe-actions',
+    category: 'unsafe_action',
+    terms: '(texting|drinking|phone) (and|while) driving|while driving|drunk|without (a )?(helmet|seat ?belt)|smoking|vaping|cigarettes?|alcohol|beer|knife|knives|guns?|firearms?|fireworks|explosions?|stunts?|mientras conduce|sin casco|sin cinturón|fumando|cigarrillos?|cerveza|cuchillos?|pistolas?',
+    message: 'Shows an unsafe or age-restricted activity',
+    suggestion: 'Show the activity safely or leave it out of the shot'
+  }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// \b only knows ASCII letters, so "bebé" or "McDonald's" need explicit boundaries
+function wholeWords(source, flags = 'giu') {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${source})(?![\\p{L}\\p{N}])`, flags);
+}
+
+function namesRule(id, category, names, message, suggestion) {
+  if (names.length === 0) return null;
+  // Names are matched with their capitalisation so "apple pie" is not a brand
+  return { id, category, pattern: wholeWords(names.map(escapeRegExp).join('|'), 'gu'), message, suggestion };
+}
+
+function invalidConfig(message) {
+  return new ServiceError(`PROMPT_SAFETY_CONFIG: ${message}`, 500, 'invalid_safety_config');
+}
+
+function compile(pattern, flags, label) {
+  try {
+    return new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`);
+  } catch (error) {
+    throw invalidConfig(`${label} has an invalid pattern (${error.message})`);
+  }
+}
+
+// JSON config (PROMPT_SAFETY_CONFIG=path):
+//   severity        { category: 'off' | 'warning' | 'block' }
+//   brands          extra brand names to flag; allowedBrands are never flagged (the advertiser's own)
+//   realPeople      extra names of real people
+//   rules           [{ id, category, pattern, flags, message, suggestion }]
+//   rewrites        [{ id, pattern, flags, replacement, reason }] applied to every prompt
+let cached = { path: undefined, config: null };
+
+export function loadSafetyConfig() {
+  const configPath = process.env.PROMPT_SAFETY_CONFIG || null;
+  if (cached.path === configPath) return cached.config;
+
+  let raw = {};
+  if (configPath) {
+    try {
+      raw = JSON.parse(readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw invalidConfig(`could not read ${configPath} (${error.message})`);
+    }
+  }
+
+  const severity = { ...DEFAULT_SEVERITY, ...(raw.severity || {}) };
+  for (const [category, level] of Object.entries(severity)) {
+    if (!SAFETY_CATEGORIES.includes(category) || !SEVERITIES.includes(level)) {
+      throw invalidConfig(`severity.${category} must be one of ${SEVERITIES.join(', ')} for a known category`);
+    }
+  }
+
+  const allowed = new Set((raw.allowedBrands || []).map(name => name.toLowerCase()));
+  const brands = [...DEFAULT_BRANDS, ...(raw.brands || [])].filter(name => !allowed.has(name.toLowerCase()));
+
+  const rules = [
+    ...DEFAULT_RULES.map(({ terms, ...rule }) => ({ ...rule, pattern: wholeWords(terms) })),
+    namesRule('brand-names', 'brand', brands, 'Names a brand or trademark', 'Use a generic product description, or add your own brand to allowedBrands'),
+    namesRule('real-people', 'real_person', [...DEFAULT_REAL_PEOPLE, ...(raw.realPeople || [])], 'Names a real person', 'Describe a fictional character by appearance instead'),
+    ...(raw.rules || []).map((rule, i) => {
+      if (!SAFETY_CATEGORIES.includes(rule.category)) {
+        throw invalidConfig(`rules[${i}].category must be one of ${SAFETY_CATEGORIES.join(', ')}`);
+      }
+      return {
+        id: rule.id || `custom-${i + 1}`,
+        category: rule.category,
+        pattern: compile(rule.pattern, rule.flags || 'gi', `rules[${i}]`),
+        message: rule.message || `Matches custom ${rule.category} rule`,
+        suggestion: rule.suggestion || null
+      };
+    })
+  ].filter(Boolean);
+
+  const rewrites = (raw.rewrites || []).map((rewrite, i) => {
+    if (typeof rewrite.replacement !== 'string') {
+      throw invalidConfig(`rewrites[${i}].replacement must be a string`);
+    }
+    return {
+      id: rewrite.id || `rewrite-${i + 1}`,
+      pattern: compile(rewrite.pattern, rewrite.flags || 'gi', `rewrites[${i}]`),
+      replacement: rewrite.replacement,
+      reason: rewrite.reason || null
+    };
+  });
+
+  cached = { path: configPath, config: { severity, rules, rewrites } };
+  return cached.config;
+}
+
+// Apply the configured rewrites, then flag what is left.
+// Returns { prompt, originalPrompt, rewrites, warnings, blocked }
+export function reviewPrompt(prompt, config = loadSafetyConfig()) {
+  let rewritten = prompt;
+  const applied = [];
+  for (const rewrite of config.rewrites) {
+    rewritten = rewritten.replace(rewrite.pattern, (match) => {
+      const to = match.replace(new RegExp(rewrite.pattern.source, rewrite.pattern.flags.replace('g', '')), rewrite.replacement);
+      applied.push({ rule: rewrite.id, from: match, to, reason: rewrite.reason });
+      return to;
+    });
+  }
+
+  const warnings = [];
+  for (const rule of config.rules) {
+    const severity = config.severity[rule.category];
+    if (severity === 'off') continue;
+    const matches = [...new Set([...rewritten.matchAll(rule.pattern)].map(match => match[0]))];
+    if (matches.length === 0) continue;
+    warnings.push({
+      rule: rule.id,
+      category: rule.category,
+      severity,
+      matches,
+      message: rule.message,
+      suggestion: rule.suggestion
+    });
+  }
+
+  return {
+    prompt: rewritten,
+    originalPrompt: prompt,
+    rewrites: applied,
+    warnings,
+    blocked: warnings.some(warning => warning.severity === 'block')
+  };
+}
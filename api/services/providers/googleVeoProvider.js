@@ -0,0 +1,340 @@
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import { GoogleAuth } from 'google-auth-library';
+import { ServiceError } from '../errors.js';
+import { toRequestParameters } from '../veoParameters.js';
+import { openLocalVideo, storeVideoBytes } from './localMedia.js';
+
+const GEMINI_API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const VEO_MODEL = process.env.VEO_MODEL || 'veo-3.1-generate-preview';
+
+// Veo through the Gemini API (API key) or Vertex AI (Application Default Credentials)
+export class GoogleVeoProvider {
+  constructor(backend = 'gemini') {
+    this.name = backend;
+    this.googleAuth = null;
+  }
+
+  isConfigured() {
+    if (this.name === 'vertex') {
+      return !!(process.env.GOOGLE_APPLICATION_CREDENTIALS || (process.env.VERTEX_PROJECT_ID && process.env.VERTEX_LOCATION));
+    }
+    return !!process.env.GOOGLE_GEMINI_API_KEY?.trim();
+  }
+
+  capabilities() {
+    return {
+      model: VEO_MODEL,
+      aspectRatios: ['16:9', '9:16'],
+      resolutions: ['720p', '1080p'],
+      durations: [4, 6, 8],
+      maxSampleCount: 4,
+      imageToVideo: true,
+      audio: true
+    };
+  }
+
+  getVertexConfig() {
+    return {
+      projectId: process.env.VERTEX_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT,
+      location: process.env.VERTEX_LOCATION || 'us-central1',
+      // Optional gs://bucket/prefix for rendered videos; inline base64 otherwise
+      storageUri: process.env.VERTEX_OUTPUT_GCS_URI || null
+    };
+  }
+
+  buildRequest({ prompt, image, parameters }) {
+    const instance = { prompt: prompt };
+    if (image) {
+      // Image-to-video: the clip starts from this still
+      instance.image = {
+        bytesBase64Encoded: image.bytesBase64Encoded,
+        mimeType: image.mimeType
+      };
+    }
+
+    const requestBody = {
+      instances: [instance]
+    };
+    if (parameters) {
+      requestBody.parameters = toRequestParameters(parameters, { hasImage: !!image });
+    }
+    return requestBody;
+  }
+
+  async submit(request) {
+    const requestBody = this.buildRequest(request);
+    const result = this.name === 'vertex'
+      ? await this.submitVertex(requestBody)
+      : await this.submitGemini(requestBody);
+
+    return {
+      operationName: result.name,
+      operation: {
+        name: result.name,
+        done: result.done || false,
+        metadata: result.metadata || {},
+        response: result.response
+      }
+    };
+  }
+
+  async submitGemini(requestBody) {
+    // Use the REST API directly since the SDK doesn't support Veo 3.1
+    console.log('[GoogleVeo] Making real API call to Google AI Studio REST API');
+
+    const apiKey = process.env.GOOGLE_GEMINI_API_KEY;
+    if (!apiKey) {
+      throw new Error('No API key available for Google AI Studio');
+    }
+
+    const modelUrl = `${GEMINI_API_BASE_URL}/models/${VEO_MODEL}:predictLongRunning`;
+
+    console.log('[GoogleVeo] Making REST API call to:', modelUrl);
+
+    const response = await fetch(modelUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey
+      },
+      body: JSON.stringify(requestBody)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`Google AI Studio API error: ${response.status} - ${errorText}`);
+      error.apiStatus = response.status;
+      throw error;
+    }
+
+    const result = await response.json();
+    console.log('[GoogleVeo] Google AI Studio API response:', result);
+    return result;
+  }
+
+  async submitVertex(requestBody) {
+    console.log('[GoogleVeo] Using Vertex AI for Veo 3.1 video generation');
+
+    const config = this.getVertexConfig();
+    // Without storageUri Vertex returns the videos inline as base64
+    const body = { ...requestBody, parameters: { ...requestBody.parameters } };
+    if (config.storageUri) {
+      body.parameters.storageUri = config.storageUri;
+    }
+
+    const modelUrl = `${this.getVertexEndpoint(config.location)}/${await this.getVertexModelPath(config)}:predictLongRunning`;
+    console.log('[GoogleVeo] Making Vertex AI call to:', modelUrl);
+
+    const response = await this.vertexRequest(modelUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    const result = await response.json();
+    console.log('[GoogleVeo] Vertex AI response:', result);
+    return result;
+  }
+
+  getGoogleAuth() {
+    // Application Default Credentials (service account key, gcloud login or metadata server)
+    if (!this.googleAuth) {
+      this.googleAuth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+    }
+    return this.googleAuth;
+  }
+
+  async getVertexAccessToken() {
+    const token = await this.getGoogleAuth().getAccessToken();
+    if (!token) {
+      throw new ServiceError('Could not obtain a Google Cloud access token (check Application Default Credentials)', 503, 'vertex_auth_failed');
+    }
+    return token;
+  }
+
+  async vertexRequest(url, options = {}) {
+    const token = await this.getVertexAccessToken();
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        Authorization: `Bearer ${token}`
+      }
+    });
+
+    // 416 is left to download(), which reports it to the client
+    if (!response.ok && response.status !== 416) {
+      const errorText = await response.text();
+      const error = new Error(`Vertex AI API error: ${response.status} - ${errorText}`);
+      error.apiStatus = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  async getVertexModelPath(config) {
+    const projectId = config.projectId || await this.getGoogleAuth().getProjectId();
+    return `projects/${projectId}/locations/${config.location}/publishers/google/models/${VEO_MODEL}`;
+  }
+
+  getVertexEndpoint(location) {
+    return `https://${location}-aiplatform.googleapis.com/v1`;
+  }
+
+  async fetchOperation(operationName) {
+    if (this.name === 'vertex') {
+      // projects/.../models/<model>/operations/<id> is polled through its model
+      const modelPath = operationName.split('/operations/')[0];
+      const location = operationName.match(/locations\/([^/]+)/)?.[1] || this.getVertexConfig().location;
+      const operationUrl = `${this.getVertexEndpoint(location)}/${modelPath}:fetchPredictOperation`;
+
+      console.log('[GoogleVeo] Polling Vertex AI operation at:', operationUrl);
+
+      const response = await this.vertexRequest(operationUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ operationName })
+      });
+      return response.json();
+    }
+
+    // Poll the operation status using REST API
+    const apiKey = process.env.GOOGLE_GEMINI_API_KEY;
+    const operationUrl = `${GEMINI_API_BASE_URL}/${operationName}`;
+
+    console.log('[GoogleVeo] Polling operation status at:', operationUrl);
+
+    const response = await fetch(operationUrl, {
+      method: 'GET',
+      headers: {
+        'x-goog-api-key': apiKey
+      }
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Google AI Studio API error: ${response.status} - ${errorText}`);
+    }
+
+    return response.json();
+  }
+
+  async cancel(operationName) {
+    // operations.cancel is not implemented for every Veo endpoint; callers treat
+    // the job as cancelled either way and just stop polling it
+    try {
+      if (this.name === 'vertex') {
+        const location = operationName.match(/locations\/([^/]+)/)?.[1] || this.getVertexConfig().location;
+        await this.vertexRequest(`${this.getVertexEndpoint(location)}/${operationName}:cancel`, { method: 'POST' });
+      } else {
+        const response = await fetch(`${GEMINI_API_BASE_URL}/${operationName}:cancel`, {
+          method: 'POST',
+          headers: { 'x-goog-api-key': process.env.GOOGLE_GEMINI_API_KEY }
+        });
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`Google AI Studio API error: ${response.status} - ${errorText}`);
+        }
+      }
+      console.log('[GoogleVeo] Cancelled operation:', operationName);
+      return true;
+    } catch (error) {
+      console.warn(`[GoogleVeo] Could not cancel operation ${operationName}:`, error.message);
+      return false;
+    }
+  }
+
+  async poll(operationName) {
+    const operation = await this.fetchOperation(operationName);
+    const videos = operation.done && !operation.error
+      ? await this.extractGeneratedVideos(operationName, operation)
+      : [];
+
+    return {
+      done: !!operation.done,
+      error: operation.error ? (operation.error.message || 'Veo operation failed') : null,
+      metadata: operation.metadata || null,
+      videos,
+      filtered: this.extractFiltered(operation),
+      raw: operation
+    };
+  }
+  
+  extractFiltered(operation) {
+    // Videos dropped by the RAI filters (Gemini nests them like the samples)
+    const response = operation?.response || {};
+    const body = response.generateVideoResponse || response;
+    const reasons = body.raiMediaFilteredReasons || [];
+    const count = body.raiMediaFilteredCount || 0;
+    return count > 0 || reasons.length > 0 ? { count, reasons } : null;
+  }
+
+  async extractGeneratedVideos(operationName, operation) {
+    // The Gemini REST API nests samples under generateVideoResponse and the SDKs expose
+    // generatedVideos; Vertex AI lists `videos` with a gcsUri or inline base64 bytes
+    const response = operation?.response || {};
+    const samples = response.generatedVideos || response.generateVideoResponse?.generatedSamples;
+    if (samples) {
+      return samples
+        .filter(sample => sample?.video?.uri)
+        .map(sample => ({ uri: sample.video.uri, thumbnailUri: sample.video.thumbnailUri || null }));
+    }
+
+    // Inline videos are too large for the job store; keep them as local files
+    const videos = (response.videos || []).filter(video => video?.gcsUri || video?.bytesBase64Encoded);
+    return Promise.all(videos.map(async (video, i) => ({
+      uri: video.gcsUri || await storeVideoBytes(`${encodeURIComponent(operationName)}_take${i + 1}.mp4`, video.bytesBase64Encoded),
+      thumbnailUri: null
+    })));
+  }
+
+  async download(videoUri, { range } = {}) {
+    if (videoUri.startsWith('file:')) {
+      return openLocalVideo(fileURLToPath(videoUri), range);
+    }
+
+    let response;
+    if (videoUri.startsWith('gs://')) {
+      // Vertex AI output bucket, read through the Cloud Storage JSON API
+      const [, bucket, object] = videoUri.match(/^gs:\/\/([^/]+)\/(.+)$/) || [];
+      const mediaUrl = `https://storage.googleapis.com/storage/v1/b/${bucket}/o/${encodeURIComponent(object)}?alt=media`;
+      response = await this.vertexRequest(mediaUrl, {
+        headers: range ? { Range: range } : {}
+      }).catch((error) => {
+        const status = error.apiStatus === 404 ? 404 : 502;
+        throw new ServiceError(status === 404 ? 'Video file no longer exists in the output bucket' : error.message, status, 'download_failed');
+      });
+    } else {
+      const headers = { 'x-goog-api-key': process.env.GOOGLE_GEMINI_API_KEY };
+      if (range) {
+        headers.Range = range;
+      }
+      response = await fetch(videoUri, { headers, redirect: 'follow' });
+    }
+
+    if (response.status === 416) {
+      throw new ServiceError('Requested range not satisfiable', 416, 'range_not_satisfiable', {
+        contentRange: response.headers.get('content-range')
+      });
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      const status = response.status === 404 ? 404 : 502;
+      const message = response.status === 404
+        ? 'Video file is no longer available from Google (generated files expire)'
+        : `Google AI Studio download error: ${response.status} - ${errorText}`;
+      throw new ServiceError(message, status, 'download_failed');
+    }
+
+    return {
+      stream: Readable.fromWeb(response.body),
+      status: response.status,
+      contentType: response.headers.get('content-type') || 'video/mp4',
+      contentLength: response.headers.get('content-length'),
+      contentRange: response.headers.get('content-range'),
+      acceptRanges: response.headers.get('accept-ranges')
+    };
+  }
+}
@@ -0,0 +1,44 @@
+import { ServiceError } from '../errors.js';
+import { GoogleVeoProvider } from './googleVeoProvider.js';
+import { MockVideoProvider } from './mockVideoProvider.js';
+
+// Video provider interface (implemented by every provider):
+//   name                                   -> id stored on each job ("gemini", "vertex", "mock")
+//   isConfigured()                         -> true when credentials/settings are present
+//   capabilities()                         -> { model, aspectRatios, resolutions, durations, maxSampleCount, imageToVideo, audio }
+//   async submit({ prompt, image, parameters, segmentIndex })
+//                                          -> { operationName, operation }
+//   async poll(operationName)              -> { done, error, metadata, videos: [{ uri, thumbnailUri }], filtered, warning, raw }
+//                                             filtered: { count, reasons } for videos dropped by safety filters
+//                                             warning: set when the videos are placeholders rather than renders
+//   async download(uri, { range })         -> { stream, status, contentType, contentLength, contentRange, acceptRanges }
+//   async cancel(operationName)            -> true when the provider stopped the operation (best effort)
+//
+// Jobs remember their provider, so polling and downloads keep working when the
+// default changes.
+
+const factories = {
+  gemini: () => new GoogleVeoProvider('gemini'),
+  vertex: () => new GoogleVeoProvider('vertex'),
+  mock: () => new MockVideoProvider()
+};
+
+const instances = new Map();
+
+export const PROVIDER_NAMES = Object.keys(factories);
+
+// VIDEO_PROVIDER wins; otherwise Vertex AI when configured (as before), then the Gemini API
+export function getDefaultProviderName() {
+  if (process.env.VIDEO_PROVIDER) return process.env.VIDEO_PROVIDER;
+  return getVideoProvider('vertex').isConfigured() ? 'vertex' : 'gemini';
+}
+
+export function getVideoProvider(name = getDefaultProviderName()) {
+  if (!factories[name]) {
+    throw new ServiceError(`Unknown video provider "${name}" (expected ${PROVIDER_NAMES.join(', ')})`, 400, 'invalid_provider');
+  }
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+  return instances.get(name);
+}
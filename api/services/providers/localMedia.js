@@ -0,0 +1,51 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ServiceError } from '../errors.js';
+import { getStoreRoot } from '../jobStore.js';
+
+// Videos kept on local disk (inline Vertex output, mock renders) live under
+// JOB_STORE_PATH/media and are referenced by file:// URIs in the job store
+
+export async function getMediaPath(fileName, subdir = '') {
+  const dir = path.join(getStoreRoot(), 'media', subdir);
+  await fs.mkdir(dir, { recursive: true });
+  return path.join(dir, fileName);
+}
+
+export async function storeVideoBytes(fileName, base64) {
+  const filePath = await getMediaPath(fileName);
+  await fs.writeFile(filePath, Buffer.from(base64, 'base64'));
+  return pathToFileURL(filePath).toString();
+}
+
+// Same response shape as a remote download, honouring a single bytes= range
+export async function openLocalVideo(filePath, range) {
+  const stat = await fs.stat(filePath).catch(() => null);
+  if (!stat) {
+    throw new ServiceError('Stored video file is missing', 404, 'download_failed');
+  }
+
+  const base = { contentType: 'video/mp4', acceptRanges: 'bytes' };
+  const match = range?.match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (!match[1] && !match[2])) {
+    return { ...base, stream: createReadStream(filePath), status: 200, contentLength: String(stat.size), contentRange: null };
+  }
+
+  const start = match[1] ? parseInt(match[1], 10) : Math.max(0, stat.size - parseInt(match[2], 10));
+  const end = match[1] && match[2] ? Math.min(parseInt(match[2], 10), stat.size - 1) : stat.size - 1;
+  if (start >= stat.size || start > end) {
+    throw new ServiceError('Requested range not satisfiable', 416, 'range_not_satisfiable', {
+      contentRange: `bytes */${stat.size}`
+    });
+  }
+
+  return {
+    ...base,
+    stream: createReadStream(filePath, { start, end }),
+    status: 206,
+    contentLength: String(end - start + 1),
+    contentRange: `bytes ${start}-${end}/${stat.size}`
+  };
+}
@@ -0,0 +1,185 @@
+import fs from 'fs/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { runFfmpeg } from '../ffmpeg.js';
+import { openLocalVideo, getMediaPath } from './localMedia.js';
+
+// Distinct card colours so stitched mock ads show every segment boundary
+const PALETTE = ['0x1f77b4', '0xff7f0e', '0x2ca02c', '0xd62728', '0x9467bd', '0x8c564b', '0xe377c2', '0x17becf'];
+const SIZES = {
+  '720p': { '16:9': '1280x720', '9:16': '720x1280' },
+  '1080p': { '16:9': '1920x1080', '9:16': '1080x1920' }
+};
+
+// Pre-rendered 8-second card served when there is no ffmpeg to render one
+const FALLBACK_CLIP = fileURLToPath(new URL('./fixtures/mock-card.mp4', import.meta.url));
+const FALLBACK_WARNING = 'ffmpeg is unavailable, so this is the shared 640x360 8-second placeholder card: ' +
+  'every segment and take gets the same clip, whatever the requested size and duration';
+
+function rate(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.min(1, Math.max(0, number)) : 0;
+}
+
+// Offline stand-in for Veo: renders a colour card per segment with ffmpeg.
+// Output depends only on segment number, parameters and take, so renders are
+// cached and re-runs are identical. Latency and failures are configurable.
+// Without ffmpeg every take is the same pre-rendered 640x360 card, and the
+// poll result carries a warning saying so.
+export class MockVideoProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.latencyMs = options.latencyMs ?? (parseInt(process.env.MOCK_VIDEO_LATENCY_MS, 10) || 5000);
+    // Probability that a finished operation reports an error
+    this.failureRate = options.failureRate ?? rate(process.env.MOCK_VIDEO_FAILURE_RATE);
+    // Probability that a submission is rejected with 429 RESOURCE_EXHAUSTED
+    this.quotaErrorRate = options.quotaErrorRate ?? rate(process.env.MOCK_VIDEO_QUOTA_ERROR_RATE);
+    // Segment numbers that always fail, e.g. "2,5"
+    this.failSegments = new Set(options.failSegments ??
+      (process.env.MOCK_VIDEO_FAIL_SEGMENTS || '').split(',').filter(Boolean).map(Number));
+    // Prompts matching this pattern are dropped like Veo's safety filters do, e.g. "knife|gun"
+    const filterPattern = options.filterPattern ?? process.env.MOCK_VIDEO_FILTER_PATTERN;
+    this.filterPattern = filterPattern ? new RegExp(filterPattern, 'i') : null;
+    this.operations = new Map();
+    // Renders in flight, so concurrent polls share one ffmpeg run
+    this.renders = new Map();
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  capabilities() {
+    return {
+      model: 'mock-color-card',
+      aspectRatios: ['16:9', '9:16'],
+      resolutions: ['720p', '1080p'],
+      durations: [4, 6, 8],
+      maxSampleCount: 4,
+      imageToVideo: false,
+      audio: true
+    };
+  }
+
+  async submit({ prompt = '', parameters = {}, segmentIndex = 1 }) {
+    if (Math.random() < this.quotaErrorRate) {
+      const error = new Error('Mock provider error: 429 - RESOURCE_EXHAUSTED (injected)');
+      error.apiStatus = 429;
+      throw error;
+    }
+
+    const createdAt = Date.now();
+    const operationName = `mock/operations/${createdAt}-${segmentIndex}-${Math.random().toString(36).slice(2, 8)}`;
+    this.operations.set(operationName, {
+      createdAt,
+      segmentIndex,
+      parameters,
+      fail: this.failSegments.has(segmentIndex) || Math.random() < this.failureRate,
+      filtered: !!this.filterPattern?.test(prompt)
+    });
+
+    console.log(`[MockVideo] Started ${operationName} (segment ${segmentIndex})`);
+
+    return {
+      operationName,
+      operation: { name: operationName, done: false, metadata: { progressPercent: 0 } }
+    };
+  }
+
+  async poll(operationName) {
+    const operation = this.operations.get(operationName);
+    if (!operation) {
+      // Operations only live in this process
+      return { done: true, error: 'Unknown mock operation (server restarted?)', metadata: null, videos: [], raw: { name: operationName, done: true } };
+    }
+
+    const elapsed = Date.now() - operation.createdAt;
+    if (elapsed < this.latencyMs) {
+      const metadata = { progressPercent: Math.round((elapsed / this.latencyMs) * 100) };
+      return { done: false, error: null, metadata, videos: [], raw: { name: operationName, done: false, metadata } };
+    }
+
+    const raw = { name: operationName, done: true };
+    if (operation.fail) {
+      return { done: true, error: 'Mock provider failure (injected)', metadata: null, videos: [], raw };
+    }
+    if (operation.filtered) {
+      // Same shape as a Veo response whose samples were all filtered
+      const filtered = {
+        count: operation.parameters.sampleCount || 1,
+        reasons: ['Veo could not generate videos because the input violates Vertex AI\'s usage guidelines. Support codes: 62263041']
+      };
+      return { done: true, error: null, metadata: null, videos: [], filtered, raw };
+    }
+
+    const sampleCount = operation.parameters.sampleCount || 1;
+    const videos = [];
+    try {
+      for (let take = 1; take <= sampleCount; take++) {
+        videos.push({ ...await this.render(operation.segmentIndex, operation.parameters, take), thumbnailUri: null });
+      }
+    } catch (error) {
+      return { done: true, error: `Mock render failed: ${error.message}`, metadata: null, videos: [], raw };
+    }
+    const warning = videos.some(video => video.placeholder) ? FALLBACK_WARNING : null;
+    return { done: true, error: null, metadata: null, videos, warning, raw };
+  }
+
+  async cancel(operationName) {
+    console.log(`[MockVideo] Cancelled ${operationName}`);
+    return this.operations.delete(operationName);
+  }
+
+  async render(segmentIndex, parameters, take) {
+    const aspectRatio = parameters.aspectRatio || '16:9';
+    const resolution = parameters.resolution || '720p';
+    const duration = parameters.durationSeconds || 8;
+    const filePath = await getMediaPath(
+      `segment${segmentIndex}_${aspectRatio.replace(':', 'x')}_${resolution}_${duration}s_take${take}.mp4`,
+      'mock'
+    );
+
+    if (!this.renders.has(filePath)) {
+      this.renders.set(filePath, this.renderCard(filePath, segmentIndex, aspectRatio, resolution, duration, take)
+        .finally(() => this.renders.delete(filePath)));
+    }
+    try {
+      await this.renders.get(filePath);
+    } catch (error) {
+      if (error.code !== 'ffmpeg_unavailable') throw error;
+      if (!this.warnedFallback) {
+        console.warn(`[MockVideo] ${error.message}; serving the pre-rendered card for every clip`);
+        this.warnedFallback = true;
+      }
+      return { uri: pathToFileURL(FALLBACK_CLIP).toString(), placeholder: true };
+    }
+    return { uri: pathToFileURL(filePath).toString(), placeholder: false };
+  }
+
+  async renderCard(filePath, segmentIndex, aspectRatio, resolution, duration, take) {
+    const exists = await fs.stat(filePath).then(stat => stat.size > 0, () => false);
+    if (!exists) {
+      const color = PALETTE[(segmentIndex - 1 + take - 1) % PALETTE.length];
+      const inputs = [
+        '-f', 'lavfi', '-i', `color=c=${color}:s=${SIZES[resolution][aspectRatio]}:d=${duration}:r=24`,
+        '-f', 'lavfi', '-i', `sine=frequency=${220 * segmentIndex}:duration=${duration}`
+      ];
+      const output = ['-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-shortest', '-y', filePath];
+      const label = `Segment ${segmentIndex}${take > 1 ? ` take ${take}` : ''}`;
+      const fontFile = process.env.MOCK_VIDEO_FONT ? `:fontfile=${process.env.MOCK_VIDEO_FONT}` : '';
+      const drawText = `drawtext=text='${label}'${fontFile}:fontcolor=white:fontsize=w/10:x=(w-text_w)/2:y=(h-text_h)/2`;
+
+      try {
+        await runFfmpeg([...inputs, '-vf', drawText, ...output]);
+      } catch (error) {
+        if (error.code === 'ffmpeg_unavailable') throw error;
+        // ffmpeg builds without libfreetype/fontconfig still get a plain colour card
+        console.warn('[MockVideo] drawtext unavailable, rendering without a label:', error.message);
+        await runFfmpeg([...inputs, ...output]);
+      }
+    }
+  }
+
+  async download(videoUri, { range } = {}) {
+    return openLocalVideo(fileURLToPath(videoUri), range);
+  }
+}
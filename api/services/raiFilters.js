@@ -0,0 +1,81 @@
+// Veo's Responsible AI filters drop generated videos (raiMediaFilteredCount)
+// and explain why in raiMediaFilteredReasons, whose messages end with numeric
+// support codes. The codes below are the ones Google documents for Veo.
+
+const SUPPORT_CODES = {
+  58061214: 'child',
+  17301594: 'child',
+  29310472: 'celebrity',
+  15236754: 'celebrity',
+  64151117: 'video_safety',
+  42237218: 'video_safety',
+  62263041: 'dangerous_content',
+  57734940: 'hate',
+  22137204: 'hate',
+  74803281: 'other',
+  29578790: 'other',
+  42876398: 'other',
+  89371032: 'prohibited_content',
+  49114662: 'prohibited_content',
+  72817394: 'prohibited_content',
+  90789179: 'sexual',
+  43188360: 'sexual',
+  78610348: 'toxic',
+  61493863: 'violence',
+  56562880: 'violence',
+  32635315: 'vulgar'
+};
+
+const EXPLANATIONS = {
+  child: 'The prompt or start image appears to show a child; describe adults only.',
+  celebrity: 'The prompt or start image appears to show a real, recognisable person; describe a fictional character instead.',
+  video_safety: 'The generated video itself was judged unsafe; tone down the action or setting and try again.',
+  dangerous_content: 'The prompt describes dangerous activities; show the action safely or leave it out.',
+  hate: 'The prompt contains hateful or derogatory content.',
+  other: 'Veo rejected the request for a safety reason it did not specify; rephrase the prompt.',
+  prohibited_content: 'The prompt asks for content Veo never generates (for example, abuse material).',
+  sexual: 'The prompt contains sexual or suggestive content.',
+  toxic: 'The prompt contains toxic or insulting language.',
+  violence: 'The prompt describes violence or graphic injury.',
+  vulgar: 'The prompt contains vulgar language.',
+  unknown: 'Veo filtered the output without a support code; rephrase the prompt and resubmit.'
+};
+
+function describeReason(message) {
+  const codes = (String(message).match(/\b\d{8}\b/g) || []).filter(code => SUPPORT_CODES[code]);
+  if (codes.length === 0) {
+    return [{ code: null, category: 'unknown', explanation: EXPLANATIONS.unknown, message: message || null }];
+  }
+  return codes.map(code => ({
+    code,
+    category: SUPPORT_CODES[code],
+    explanation: EXPLANATIONS[SUPPORT_CODES[code]],
+    message
+  }));
+}
+
+// `filtered` is the provider's { count, reasons } for a finished operation and
+// `error` its error message, which can also carry support codes.
+// Returns null when nothing was filtered.
+export function describeSafetyFilter(filtered, error = null) {
+  const reasons = filtered?.reasons || [];
+  const count = filtered?.count || 0;
+
+  let described = reasons.flatMap(describeReason);
+  if (count === 0 && described.length === 0 && error) {
+    // Only trust a failed operation's message when it names a known code
+    described = describeReason(error).filter(reason => reason.code);
+  }
+  if (count === 0 && described.length === 0) return null;
+  if (described.length === 0) {
+    described = describeReason('');
+  }
+
+  const explanations = [...new Set(described.map(reason => reason.explanation))];
+  return {
+    filteredCount: count,
+    categories: [...new Set(described.map(reason => reason.category))],
+    reasons: described,
+    explanation: explanations.join(' ')
+  };
+}
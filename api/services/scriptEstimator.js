@@ -0,0 +1,114 @@
+import { ServiceError } from './errors.js';
+import { resolveGenerationMode } from './parallelGeneration.js';
+import { planMarkedScript, resolveSegmentLocations, SPLIT_LIMITS } from './scriptSplitter.js';
+import { REPAIR_ATTEMPTS } from './segmentValidator.js';
+import { resolveVeoParameters } from './veoParameters.js';
+
+// Dry run of a generation request: the same script split and location
+// resolution as the generators, plus what the run will cost, without calling
+// any model.
+
+// Veo 3 list price in USD per generated second (with audio)
+const VEO_COST_PER_SECOND = parseFloat(process.env.VEO_COST_PER_SECOND ?? '0.40');
+
+// The generation endpoints, each with its own service path
+export const GENERATION_ENDPOINTS = ['generate', 'generate-plus', 'generate-new-cont'];
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+// The splitter's limits, scaled to the requested clip length
+function segmentWarnings(seconds, clipSeconds) {
+  const scale = Math.min(1, clipSeconds / SPLIT_LIMITS.clipSeconds);
+  const minSeconds = SPLIT_LIMITS.minSeconds * scale;
+  const maxSeconds = SPLIT_LIMITS.maxSeconds * scale;
+  if (seconds < minSeconds) {
+    return [`About ${seconds.toFixed(1)}s of dialogue; under ${minSeconds.toFixed(1)}s the clip has noticeable silence`];
+  }
+  if (seconds > maxSeconds) {
+    return [`About ${seconds.toFixed(1)}s of dialogue does not fit a ${clipSeconds}-second clip`];
+  }
+  return [];
+}
+
+// gpt-4o requests per step, in the order the generator makes them.
+// Every template's example passes its segment schema, so a segment only needs
+// a schema repair when the model strays from it; repairs count in `max` only.
+function planOpenAICalls(endpoint, params, segmentCount) {
+  const steps = [];
+  const voiceProfile = endpoint === 'generate-new-cont' || (endpoint === 'generate' && params.continuationMode);
+
+  if (endpoint === 'generate-plus' && params.settingMode === 'ai-inspired') {
+    steps.push({ step: 'Infer locations from the script', calls: 1 });
+  }
+  steps.push({ step: 'Base character and scene descriptions', calls: 1 });
+  if (endpoint === 'generate-plus' && params.cameraStyle === 'ai-inspired') {
+    steps.push({ step: 'Infer camera styles from the script', calls: 1 });
+  }
+  if (voiceProfile) {
+    steps.push({ step: 'First segment (enhanced)', calls: 1 });
+    steps.push({ step: 'Voice profile', calls: 1 });
+    if (segmentCount > 1) {
+      steps.push({ step: 'Remaining segments (voice profile)', calls: segmentCount - 1 });
+    }
+  } else if (resolveGenerationMode(params.generationMode) === 'parallel') {
+    steps.push({ step: 'Continuity plan', calls: 1 });
+    steps.push({ step: 'Segments (parallel)', calls: segmentCount });
+  } else {
+    steps.push({ step: 'Segments', calls: segmentCount });
+  }
+
+  const min = steps.reduce((sum, step) => sum + step.calls, 0);
+  return { min, max: min + segmentCount * REPAIR_ATTEMPTS, repairAttemptsPerSegment: REPAIR_ATTEMPTS, steps };
+}
+
+// Mirrors OpenAIService / OpenAIServicePlus.generateSegments for `endpoint`.
+// Returns { segments, warnings, openaiCalls, veo }
+export function estimateScript(params, { endpoint = 'generate', videoParameters, videoQuality = 'standard' } = {}) {
+  if (!GENERATION_ENDPOINTS.includes(endpoint)) {
+    throw new ServiceError(`Unknown endpoint "${endpoint}" (expected ${GENERATION_ENDPOINTS.join(', ')})`, 400, 'invalid_endpoint');
+  }
+  const veoParameters = resolveVeoParameters(videoParameters, {}, { quality: videoQuality });
+
+  const scriptSegments = planMarkedScript(params.script, {
+    language: params.language,
+    voiceType: params.voiceType,
+    energyLevel: params.energyLevel
+  });
+
+  // The plus generator asks the model for ai-inspired locations; only the
+  // script's own [location: ...] directives are known up front
+  const inferred = endpoint === 'generate-plus' && params.settingMode === 'ai-inspired'
+    ? Array(scriptSegments.length).fill(null)
+    : null;
+  const locations = resolveSegmentLocations(scriptSegments, params, inferred);
+
+  const segments = scriptSegments.map(({ text, seconds, syllables, settings, part }, i) => ({
+    segmentNumber: i + 1,
+    part,
+    text,
+    words: countWords(text),
+    syllables,
+    seconds: Math.round(seconds * 10) / 10,
+    location: locations[i] ?? null,
+    settings,
+    warnings: segmentWarnings(seconds, veoParameters.durationSeconds)
+  }));
+
+  const seconds = segments.length * veoParameters.durationSeconds * veoParameters.sampleCount;
+
+  return {
+    segments,
+    warnings: segments.flatMap(segment => segment.warnings.map(message => `Segment ${segment.segmentNumber}: ${message}`)),
+    openaiCalls: planOpenAICalls(endpoint, params, segments.length),
+    veo: {
+      clips: segments.length * veoParameters.sampleCount,
+      clipSeconds: veoParameters.durationSeconds,
+      seconds,
+      costPerSecond: VEO_COST_PER_SECOND,
+      estimatedCost: Math.round(seconds * VEO_COST_PER_SECOND * 100) / 100,
+      currency: 'USD'
+    }
+  };
+}
@@ -0,0 +1,316 @@
+import { ServiceError } from './errors.js';
+
+// Splits a script into dialogue chunks that fit one 8-second Veo clip each.
+// Durations are estimated from syllables at a per-language speaking rate,
+// adjusted for the chosen voiceType and energyLevel, plus short pauses at
+// punctuation. Text is never dropped: whatever follows the last terminal
+// punctuation mark becomes (part of) the last segment.
+
+// Syllables per second for clear, ad-style delivery at a neutral voice
+const SPEAKING_RATES = {
+  en: 3.6, // ~150 words per minute
+  es: 5.0,
+  pt: 5.0,
+  it: 5.0,
+  fr: 4.6,
+  de: 3.8
+};
+const DEFAULT_SPEAKING_RATE = 4.2;
+
+// Pace relative to the neutral rate, for the voice types the form offers
+const VOICE_TYPE_PACE = {
+  'warm-friendly': 1.0,
+  'professional-clear': 0.95,
+  'energetic-upbeat': 1.12,
+  'calm-soothing': 0.85,
+  'conversational-casual': 1.05,
+  'authoritative-confident': 0.92,
+  'youthful-playful': 1.08
+};
+
+// Seconds of silence after a sentence or clause
+const SENTENCE_PAUSE = 0.35;
+const CLAUSE_PAUSE = 0.15;
+
+// Speech per 8-second clip: anything shorter than MIN leaves a visibly silent
+// clip, anything longer than MAX leaves no room for the pauses between lines.
+// No segment, merged or not, goes over MAX
+const CLIP_SECONDS = 8;
+const MIN_SECONDS = 5.5;
+const TARGET_SECONDS = 7;
+const MAX_SECONDS = 7.5;
+
+// Lowercase, without the final period; "p. ej" covers "p. ej.". Words that
+// also end sentences ("no", and "min", "max", "co", "st" in English) are left
+// out; "No." before a number is handled in splitSentences
+const ABBREVIATIONS = {
+  en: ['mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'vs', 'etc', 'e.g', 'i.e', 'approx', 'inc', 'ltd', 'fig'],
+  es: ['sr', 'sra', 'srta', 'dr', 'dra', 'lic', 'ing', 'prof', 'ud', 'uds', 'etc', 'p. ej', 'ej', 'pág', 'aprox', 'núm', 'tel', 'av', 'dto', 'vs', 'min', 'máx']
+};
+
+const ROMANCE = new Set(['es', 'pt', 'it']);
+
+function baseLanguage(language) {
+  return String(language || 'en').toLowerCase().split(/[-_]/)[0];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const abbreviationPatterns = {};
+function abbreviationPattern(language) {
+  if (!abbreviationPatterns[language]) {
+    const list = ABBREVIATIONS[language] || ABBREVIATIONS.en;
+    // Also any single letter but "I" ("J. Smith", the "p." of "p. ej.")
+    abbreviationPatterns[language] = new RegExp(
+      `(?:^|[^\\p{L}])(?:${list.map(escapeRegExp).join('|')}|(?!I$)\\p{L})$`,
+      'iu'
+    );
+  }
+  return abbreviationPatterns[language];
+}
+
+// Sentence boundaries: . ! ? … (and runs of them), optionally followed by
+// closing quotes or brackets, then whitespace. Not a boundary when the next
+// word starts in lowercase, after an abbreviation, or inside a number (4.99).
+export function splitSentences(text, language = 'en') {
+  const lang = baseLanguage(language);
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!source) return [];
+
+  const sentences = [];
+  const boundary = /[.!?…]+["'”’»)\]]*(?=\s|$)/gu;
+  let start = 0;
+  let match;
+  while ((match = boundary.exec(source)) !== null) {
+    const end = match.index + match[0].length;
+    const rest = source.slice(end).trimStart();
+    const before = source.slice(start, match.index);
+
+    if (rest && /^\p{Ll}/u.test(rest)) continue;
+    if (match[0] === '.' && abbreviationPattern(lang).test(before)) continue;
+    // "No. 5", "nº" style numbering
+    if (match[0] === '.' && /(?:^|[^\p{L}])no$/iu.test(before) && /^\p{N}/u.test(rest)) continue;
+
+    const sentence = source.slice(start, end).trim();
+    if (sentence) sentences.push(sentence);
+    start = end;
+  }
+
+  // Trailing text without terminal punctuation
+  const rest = source.slice(start).trim();
+  if (rest) sentences.push(rest);
+  return sentences;
+}
+
+function englishSyllables(word) {
+  let w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!w) return 1;
+  if (w.length <= 3) return 1;
+  // Silent endings: "makes", "used", "made" (but not "table")
+  w = w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  const groups = w.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+// Every strong vowel (a, e, o, or an accented i/u) is its own nucleus; weak
+// vowels only form a syllable on their own ("cui-da-do", "pa-ís", "le-er")
+function romanceSyllables(word) {
+  const groups = word.toLowerCase().match(/[aeiouáéíóúàèìòùâêôãõü]+/g) || [];
+  const count = groups.reduce((sum, group) => sum + Math.max(1, (group.match(/[aeoáéíóúàèìòùâêôãõ]/g) || []).length), 0);
+  return Math.max(1, count);
+}
+
+function genericSyllables(word) {
+  const groups = word.toLowerCase().match(/[aeiouyáéíóúàèìòùâêîôûäëïöüãõ]+/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+export function countSyllables(text, language = 'en') {
+  const lang = baseLanguage(language);
+  const words = String(text || '').match(/[\p{L}\p{N}'’]+/gu) || [];
+  return words.reduce((sum, word) => {
+    // Numbers are read out: roughly two syllables per digit in Romance languages
+    if (/^\p{N}+$/u.test(word)) return sum + Math.ceil(word.length * (ROMANCE.has(lang) ? 2 : 1.5));
+    if (lang === 'en') return sum + englishSyllables(word);
+    if (ROMANCE.has(lang)) return sum + romanceSyllables(word);
+    return sum + genericSyllables(word);
+  }, 0);
+}
+
+// Syllables per second for a language, voice type and energy level (50-100, default 80)
+export function speakingRate({ language = 'en', voiceType = null, energyLevel = null } = {}) {
+  const base = SPEAKING_RATES[baseLanguage(language)] || DEFAULT_SPEAKING_RATE;
+  const voice = VOICE_TYPE_PACE[voiceType] || 1;
+  const energy = Number(energyLevel);
+  // 50% energy speaks ~8% slower than 80%, 100% ~5% faster
+  const energyPace = Number.isFinite(energy) ? 1 + (Math.min(100, Math.max(50, energy)) - 80) * 0.0027 : 1;
+  return base * voice * energyPace;
+}
+
+export function estimateSpeechSeconds(text, options = {}) {
+  const syllables = countSyllables(text, options.language);
+  const sentencePauses = (String(text).match(/[.!?…]+(?=\s|$)/g) || []).length;
+  const clausePauses = (String(text).match(/[,;:—–](?=\s)/g) || []).length;
+  return syllables / speakingRate(options) + sentencePauses * SENTENCE_PAUSE + clausePauses * CLAUSE_PAUSE;
+}
+
+// Even chunks of words, for text without usable punctuation. Word lengths
+// vary, so chunks are added until every one fits MAX_SECONDS
+function splitBetweenWords(text, options) {
+  const words = text.split(/\s+/);
+  for (let count = Math.ceil(estimateSpeechSeconds(text, options) / TARGET_SECONDS); ; count++) {
+    const size = Math.ceil(words.length / count);
+    const parts = [];
+    for (let i = 0; i < words.length; i += size) {
+      parts.push(words.slice(i, i + size).join(' '));
+    }
+    if (size === 1 || parts.every(part => estimateSpeechSeconds(part, options) <= MAX_SECONDS)) {
+      return parts;
+    }
+  }
+}
+
+// A sentence longer than one clip is cut at clause punctuation, then between words
+function splitLongSentence(sentence, options) {
+  if (estimateSpeechSeconds(sentence, options) <= MAX_SECONDS) return [sentence];
+
+  const clauses = sentence.split(/(?<=[,;:—–])\s+/);
+  if (clauses.length === 1) return splitBetweenWords(sentence, options);
+
+  const parts = [];
+  let current = '';
+  for (const piece of clauses) {
+    const candidate = current ? `${current} ${piece}` : piece;
+    if (current && estimateSpeechSeconds(candidate, options) > TARGET_SECONDS) {
+      parts.push(current);
+      current = piece;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) parts.push(current);
+
+  // Clauses that are still too long are cut between words
+  return parts.flatMap(part => (estimateSpeechSeconds(part, options) > MAX_SECONDS ? splitBetweenWords(part, options) : [part]));
+}
+
+// Returns [{ text, seconds, syllables }]
+export function planScriptSegments(script, options = {}) {
+  const units = splitSentences(script, options.language).flatMap(sentence => splitLongSentence(sentence, options));
+
+  const segments = [];
+  let current = '';
+  for (const unit of units) {
+    const candidate = current ? `${current} ${unit}` : unit;
+    if (!current || estimateSpeechSeconds(candidate, options) <= MAX_SECONDS) {
+      current = candidate;
+    } else {
+      segments.push(current);
+      current = unit;
+    }
+  }
+  if (current) segments.push(current);
+
+  // A short last segment joins the previous one when the result still fits the clip
+  if (segments.length > 1) {
+    const last = segments[segments.length - 1];
+    const merged = `${segments[segments.length - 2]} ${last}`;
+    if (estimateSpeechSeconds(last, options) < MIN_SECONDS && estimateSpeechSeconds(merged, options) <= MAX_SECONDS) {
+      segments.splice(-2, 2, merged);
+    }
+  }
+
+  return segments.map(text => ({
+    text,
+    seconds: Math.round(estimateSpeechSeconds(text, options) * 10) / 10,
+    syllables: countSyllables(text, options.language)
+  }));
+}
+
+// Seconds of speech for a clipSeconds-long clip; other clip lengths scale them
+export const SPLIT_LIMITS = { clipSeconds: CLIP_SECONDS, minSeconds: MIN_SECONDS, targetSeconds: TARGET_SECONDS, maxSeconds: MAX_SECONDS };
+
+// Script markup for copywriters:
+//   ---                   on its own line: hard cut, a new segment starts here
+//   [location: kitchen]   directives, anywhere in a part; they apply to every
+//   [camera: pov-selfie]  segment of the part (the text between two cuts)
+//   [energy: 90]          (also [time: evening])
+// Other bracketed text ("[laughs]") stays in the dialogue.
+const DIRECTIVES = {
+  location: { setting: 'location' },
+  camera: { setting: 'cameraStyle' },
+  time: { setting: 'timeOfDay' },
+  energy: {
+    setting: 'energyOverride',
+    parse: (value) => {
+      const energy = Number(String(value).replace(/%$/, ''));
+      if (!Number.isInteger(energy) || energy < 0 || energy > 100) throw new Error('must be a whole number from 0 to 100');
+      return energy;
+    }
+  }
+};
+
+const CUT = /^\s*-{3,}\s*$/m;
+const DIRECTIVE = /\[\s*([a-z_]+)\s*:\s*([^\]]*?)\s*\]/gi;
+
+function invalidMarkup(message) {
+  return new ServiceError(`Script markup: ${message}`, 400, 'invalid_script_markup');
+}
+
+// Returns [{ text, settings }], one entry per part between cuts
+export function parseScriptMarkup(script) {
+  const parts = String(script || '').split(CUT);
+  return parts
+    .map((part, i) => {
+      const settings = {};
+      const text = part.replace(DIRECTIVE, (match, key, value) => {
+        const directive = DIRECTIVES[key.toLowerCase()];
+        if (!directive) {
+          throw invalidMarkup(`unknown directive "${key}" in part ${i + 1} (expected ${Object.keys(DIRECTIVES).join(', ')})`);
+        }
+        if (!value) throw invalidMarkup(`[${key}] in part ${i + 1} needs a value`);
+        try {
+          settings[directive.setting] = directive.parse ? directive.parse(value) : value;
+        } catch (error) {
+          throw invalidMarkup(`[${key}: ${value}] in part ${i + 1} ${error.message}`);
+        }
+        return ' ';
+      }).replace(/\s+/g, ' ').trim();
+
+      if (!text && Object.keys(settings).length > 0) {
+        throw invalidMarkup(`part ${i + 1} has directives but no dialogue`);
+      }
+      return { text, settings };
+    })
+    .filter(part => part.text);
+}
+
+// Honours cuts and directives, then splits each part by speaking time.
+// Returns [{ text, seconds, syllables, settings, part }]
+export function planMarkedScript(script, options = {}) {
+  return parseScriptMarkup(script).flatMap((part, index) => {
+    // [energy] also changes how fast the part is spoken
+    const timing = { ...options, energyLevel: part.settings.energyOverride ?? options.energyLevel };
+    return planScriptSegments(part.text, timing).map(segment => ({ ...segment, settings: part.settings, part: index + 1 }));
+  });
+}
+
+// One location per segment: the room for single settings, otherwise the
+// requested list (or `inferred`), padded with its last entry. [location: ...]
+// directives in the script win over both.
+export function resolveSegmentLocations(scriptSegments, { settingMode = 'single', room, locations = [] } = {}, inferred = null) {
+  let resolved;
+  if (inferred) {
+    resolved = inferred;
+  } else if (settingMode === 'single') {
+    resolved = Array(scriptSegments.length).fill(room);
+  } else {
+    resolved = [...(locations || [])];
+    while (resolved.length < scriptSegments.length) {
+      resolved.push(resolved[resolved.length - 1] || 'living room');
+    }
+  }
+  return scriptSegments.map((segment, i) => segment.settings.location || resolved[i]);
+}
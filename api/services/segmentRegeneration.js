@@ -0,0 +1,153 @@
+import { ServiceError } from './errors.js';
+import { planMarkedScript, resolveSegmentLocations } from './scriptSplitter.js';
+
+// Regenerating one segment of an existing run: the generators get the run's
+// base descriptions, the previous segment and where the next segment starts,
+// so the new segment fits between its neighbours. Other segments are kept
+// as they are, apart from the next segment's start marker.
+
+// Fields of the original request a regeneration reuses. Everything else the
+// generators get is worked out here, so the client cannot override it
+const REQUEST_PARAMS = [
+  'script', 'product', 'ageRange', 'gender', 'style', 'jsonFormat', 'language', 'accentRegion',
+  'voiceType', 'energyLevel', 'settingMode', 'room', 'locations', 'cameraStyle', 'timeOfDay',
+  'backgroundLife', 'productStyle', 'energyArc', 'narrativeStyle', 'ethnicity', 'characterFeatures',
+  'clothingDetails', 'avatarMode', 'animal'
+];
+
+function invalid(message) {
+  return new ServiceError(message, 400, 'invalid_regeneration_request');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function checkRegenerationRequest({ baseDescriptions, segments, params, index, dialogue, notes }) {
+  if (params !== undefined && !isObject(params)) {
+    throw invalid('params must be the original request body (an object)');
+  }
+  if (params?.script !== undefined && typeof params.script !== 'string') {
+    throw invalid('params.script must be a string');
+  }
+  if (params?.locations !== undefined && !Array.isArray(params.locations)) {
+    throw invalid('params.locations must be an array');
+  }
+  if (!isObject(baseDescriptions)) {
+    throw invalid('baseDescriptions from the original run are required');
+  }
+  if (!Array.isArray(segments) || segments.length === 0 || !segments.every(isObject)) {
+    throw invalid('segments must be the non-empty list of segments from the original run');
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= segments.length) {
+    throw invalid(`index must be an integer between 0 and ${segments.length - 1}`);
+  }
+  if (dialogue !== undefined && dialogue !== null && (typeof dialogue !== 'string' || !dialogue.trim())) {
+    throw invalid('dialogue must be a non-empty string');
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    throw invalid('notes must be a string');
+  }
+}
+
+function endPosition(segment) {
+  return segment?.segment_info?.continuity_markers?.end_position || segment?.action_timeline?.transition_prep || null;
+}
+
+function startPosition(segment) {
+  return segment?.segment_info?.continuity_markers?.start_position || null;
+}
+
+// Location and script directives per segment. The generated segment_info.location
+// is what was actually used; the script split only counts when it still lines
+// up with the run's segments.
+function runLayout(segments, params) {
+  const scriptSegments = params.script ? planMarkedScript(params.script, params) : [];
+  const matches = scriptSegments.length === segments.length;
+  const planned = matches ? resolveSegmentLocations(scriptSegments, params) : [];
+  return {
+    settings: segments.map((_, i) => (matches ? scriptSegments[i].settings : {})),
+    locations: segments.map((segment, i) =>
+      segment.segment_info?.location
+        || planned[i]
+        || (params.settingMode === 'single' ? params.room : params.locations?.[i])
+        || null
+    )
+  };
+}
+
+// Generator params for segment `index`, on top of the run's request params.
+// Returns { request, locations }
+export function regenerationRequest({ baseDescriptions, segments, params = {}, index, dialogue, notes }) {
+  const runParams = Object.fromEntries(REQUEST_PARAMS.filter(key => params[key] !== undefined).map(key => [key, params[key]]));
+  const { settings, locations } = runLayout(segments, runParams);
+  const segment = segments[index];
+  const request = {
+    ...runParams,
+    segmentNumber: index + 1,
+    totalSegments: segments.length,
+    scriptPart: dialogue?.trim() || segment.action_timeline?.dialogue || '',
+    baseDescriptions,
+    previousSegment: segments[index - 1] || null,
+    currentLocation: locations[index],
+    previousLocation: index > 0 ? locations[index - 1] : null,
+    nextLocation: index < segments.length - 1 ? locations[index + 1] : null,
+    ...settings[index],
+    nextStartPosition: startPosition(segments[index + 1]),
+    revisionNotes: notes?.trim() || null
+  };
+  return { request, locations };
+}
+
+// Extra prompt lines for a regenerated segment (empty otherwise)
+export function describeRegeneration(params) {
+  const lines = [];
+  if (params.nextStartPosition) {
+    lines.push(`The next segment is already generated and starts with: ${params.nextStartPosition}\nEnd this segment in that position and set transition_prep to it.`);
+  }
+  if (params.revisionNotes) {
+    lines.push(`This segment is being regenerated. Revision notes to apply: ${params.revisionNotes}`);
+  }
+  return lines.join('\n');
+}
+
+// Puts the regenerated segment in place and lines up the continuity fields it
+// shares with its neighbours (within one location).
+// Returns { segments, adjustments: [{ segmentNumber, field }] }
+export function alignNeighbours(segments, index, regenerated, { baseDescriptions = {}, locations = [] } = {}) {
+  const adjustments = [];
+  const result = segments.map((segment, i) => (i === index ? structuredClone(regenerated) : segment));
+  const segment = result[index];
+  const segmentNumber = index + 1;
+  const set = (object, key, value, field, number = segmentNumber) => {
+    if (!object || !value || object[key] === value) return;
+    object[key] = value;
+    adjustments.push({ segmentNumber: number, field });
+  };
+
+  set(segment.segment_info, 'segment_number', segmentNumber, 'segment_info.segment_number');
+  set(segment.segment_info, 'total_segments', segments.length, 'segment_info.total_segments');
+  for (const key of ['physical', 'clothing']) {
+    if (typeof baseDescriptions[key] === 'string' && typeof segment.character_description?.[key] === 'string') {
+      set(segment.character_description, key, baseDescriptions[key], `character_description.${key}`);
+    }
+  }
+
+  const previous = result[index - 1];
+  if (previous && locations[index] === locations[index - 1]) {
+    set(segment.segment_info?.continuity_markers, 'start_position', endPosition(previous), 'segment_info.continuity_markers.start_position');
+  }
+
+  const next = result[index + 1];
+  if (next) {
+    if (segment.action_timeline && !segment.action_timeline.transition_prep) {
+      set(segment.action_timeline, 'transition_prep', segment.segment_info?.continuity_markers?.end_position || startPosition(next), 'action_timeline.transition_prep');
+    }
+    if (locations[index] === locations[index + 1] && next.segment_info?.continuity_markers) {
+      result[index + 1] = structuredClone(next);
+      set(result[index + 1].segment_info.continuity_markers, 'start_position', endPosition(segment), 'segment_info.continuity_markers.start_position', index + 2);
+    }
+  }
+
+  return { segments: result, adjustments };
+}
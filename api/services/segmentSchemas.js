@@ -0,0 +1,120 @@
+// JSON Schemas (draft-07) for the segment formats described in instructions/.
+// Required fields are the ones each template asks the model for; extra fields
+// (language metadata, lip_sync, voice_technical, ...) are allowed.
+
+const text = { type: 'string', minLength: 1 };
+
+// "0-2s", "2-4s", "4.5-8s" -> action description
+const synchronizedActions = {
+  type: 'object',
+  minProperties: 1,
+  propertyNames: { pattern: '^\\d+(\\.\\d+)?-\\d+(\\.\\d+)?s$' },
+  additionalProperties: text
+};
+
+const segmentInfo = {
+  type: 'object',
+  required: ['segment_number', 'total_segments', 'duration'],
+  properties: {
+    segment_number: { type: 'integer', minimum: 1 },
+    total_segments: { type: 'integer', minimum: 1 },
+    duration: { type: 'string', pattern: '^\\d{2}:\\d{2}-\\d{2}:\\d{2}$' }
+  }
+};
+
+function extend(base, { required = [], properties = {} }) {
+  return {
+    ...base,
+    required: [...base.required, ...required],
+    properties: { ...base.properties, ...properties }
+  };
+}
+
+function segmentSchema(title, parts) {
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title,
+    type: 'object',
+    required: Object.keys(parts),
+    properties: parts
+  };
+}
+
+const standardParts = {
+  segment_info: segmentInfo,
+  character_description: {
+    type: 'object',
+    required: ['physical', 'clothing', 'current_state'],
+    properties: { physical: text, clothing: text, current_state: text }
+  },
+  scene_continuity: {
+    type: 'object',
+    required: ['environment', 'camera_position', 'props_in_frame'],
+    properties: { environment: text, camera_position: text, props_in_frame: text }
+  },
+  action_timeline: {
+    type: 'object',
+    required: ['dialogue', 'synchronized_actions'],
+    properties: { dialogue: { type: 'string' }, synchronized_actions: synchronizedActions }
+  }
+};
+
+const enhancedParts = {
+  segment_info: extend(segmentInfo, {
+    required: ['location', 'continuity_markers'],
+    properties: {
+      location: text,
+      continuity_markers: {
+        type: 'object',
+        required: ['start_position', 'end_position', 'start_expression', 'end_expression'],
+        properties: { start_position: text, end_position: text, start_expression: text, end_expression: text }
+      }
+    }
+  }),
+  character_description: extend(standardParts.character_description, {
+    required: ['voice_matching'],
+    properties: { voice_matching: text }
+  }),
+  scene_continuity: extend(standardParts.scene_continuity, {
+    required: ['lighting', 'transitions'],
+    properties: { lighting: text, transitions: text }
+  }),
+  action_timeline: extend(standardParts.action_timeline, {
+    required: ['micro_expressions'],
+    properties: { micro_expressions: text }
+  })
+};
+
+export const SEGMENT_SCHEMAS = {
+  standard: segmentSchema('Veo 3 segment (standard)', standardParts),
+  enhanced: segmentSchema('Veo 3 segment (enhanced continuity)', enhancedParts),
+  // The plus generator places every segment in a location and checks props against it
+  plus: segmentSchema('Veo 3 segment (plus)', {
+    ...standardParts,
+    segment_info: extend(segmentInfo, { required: ['location'], properties: { location: text } })
+  }),
+  continuation: segmentSchema('Veo 3 continuation segment (minimal)', {
+    segment_info: extend(segmentInfo, {
+      required: ['continuation'],
+      properties: { continuation: { type: 'boolean' }, continuity_note: { type: 'string' } }
+    }),
+    character_description: {
+      type: 'object',
+      required: ['current_state', 'clothing'],
+      properties: { current_state: text, clothing: text }
+    },
+    scene_continuity: {
+      type: 'object',
+      required: ['environment', 'camera_position', 'transitions'],
+      properties: { environment: text, camera_position: text, transitions: text }
+    },
+    action_timeline: standardParts.action_timeline,
+    voice_specs: {
+      type: 'object',
+      required: ['pace', 'tone'],
+      properties: { pace: text, tone: text, accent: { type: 'string' } }
+    }
+  })
+};
+
+export const SEGMENT_FORMATS = Object.keys(SEGMENT_SCHEMAS);
@@ -0,0 +1,160 @@
+import Ajv from 'ajv';
+import { ServiceError } from './errors.js';
+import { SEGMENT_FORMATS, SEGMENT_SCHEMAS } from './segmentSchemas.js';
+
+// Validates model-generated segments against the format's JSON Schema and asks
+// the model to fix only the fields that failed. Every segment gets a report:
+//   { format, valid, repaired, repairAttempts, initialErrors, errors: [{ path, message }] }
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = Object.fromEntries(
+  Object.entries(SEGMENT_SCHEMAS).map(([format, schema]) => [format, ajv.compile(schema)])
+);
+
+export const REPAIR_ATTEMPTS = parseInt(process.env.SEGMENT_REPAIR_ATTEMPTS ?? '1', 10);
+
+// response_format json_object should guarantee JSON, but output cut off by
+// max_tokens does not parse; report it instead of a bare SyntaxError
+export function parseModelJson(content, label = 'Model output') {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    const fenced = content?.match(/```(?:json)?\s*([\s\S]*?)```/)?.[1];
+    if (fenced) {
+      try {
+        return JSON.parse(fenced);
+      } catch (_) {
+        // Fall through to the original error
+      }
+    }
+    throw new ServiceError(`${label}: the model returned invalid JSON (${error.message})`, 502, 'invalid_model_output');
+  }
+}
+
+function describeErrors(errors = []) {
+  const described = errors
+    // propertyNames failures are reported twice (pattern + propertyNames)
+    .filter(error => error.keyword !== 'propertyNames')
+    .map((error) => {
+      if (error.keyword === 'required') {
+        return { path: `${error.instancePath}/${error.params.missingProperty}`, message: 'is required' };
+      }
+      if (error.propertyName) {
+        return { path: error.instancePath, message: `key "${error.propertyName}" ${error.message}` };
+      }
+      return { path: error.instancePath, message: error.message };
+    });
+  return described.filter((error, i) =>
+    described.findIndex(other => other.path === error.path && other.message === error.message) === i
+  );
+}
+
+export function validateSegment(segment, format = 'standard') {
+  const validate = validators[format];
+  if (!validate) {
+    throw new ServiceError(`Unknown segment format "${format}" (expected ${SEGMENT_FORMATS.join(', ')})`, 400, 'invalid_format');
+  }
+  const valid = validate(segment);
+  return { valid, errors: valid ? [] : describeErrors(validate.errors) };
+}
+
+function decodePointer(pointer) {
+  return pointer.split('/').slice(1).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function getAt(object, keys) {
+  return keys.reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setAt(object, keys, value) {
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, object);
+  parent[keys[keys.length - 1]] = value;
+}
+
+// Copy only the failing paths from the repaired segment, so the model cannot
+// quietly rewrite fields that were already valid
+function applyRepairs(segment, repaired, errors) {
+  const result = structuredClone(segment);
+  for (const { path } of errors) {
+    const keys = decodePointer(path);
+    if (keys.length === 0) return repaired;
+    const value = getAt(repaired, keys);
+    if (value !== undefined) setAt(result, keys, value);
+  }
+  return result;
+}
+
+async function requestRepair(openai, segment, format, errors) {
+  const response = await openai.chat.completions.create({
+    model: "gpt-4o",
+    messages: [
+      {
+        role: "system",
+        content: `You repair Veo 3 segment JSON so that it matches this JSON Schema:\n${JSON.stringify(SEGMENT_SCHEMAS[format])}\n\nFix ONLY the fields listed as missing or invalid and copy every other field exactly. Write new content in the same language, tone and level of detail as the rest of the segment. Return ONLY the complete JSON object.`
+      },
+      {
+        role: "user",
+        content: `Segment:\n${JSON.stringify(segment, null, 2)}\n\nProblems:\n${errors.map(error => `- ${error.path || '(root)'}: ${error.message}`).join('\n')}`
+      }
+    ],
+    response_format: { type: "json_object" },
+    temperature: 0.2,
+    max_tokens: 5000
+  });
+
+  return applyRepairs(segment, parseModelJson(response.choices[0].message.content, 'Segment repair'), errors);
+}
+
+export async function validateAndRepairSegment(segment, { format = 'standard', openai = null, label = 'Segment', maxAttempts = REPAIR_ATTEMPTS } = {}) {
+  let current = segment;
+  let result = validateSegment(current, format);
+  const initialErrors = result.errors;
+  let attempts = 0;
+
+  while (!result.valid && openai && attempts < maxAttempts) {
+    attempts++;
+    console.log(`[SegmentValidator] ${label} does not match the ${format} schema (${result.errors.length} issue(s)); asking the model to repair it`);
+    try {
+      current = await requestRepair(openai, current, format, result.errors);
+    } catch (error) {
+      console.error(`[SegmentValidator] Repair of ${label} failed:`, error.message);
+      break;
+    }
+    result = validateSegment(current, format);
+  }
+
+  if (!result.valid) {
+    console.warn(`[SegmentValidator] ${label} still has ${result.errors.length} schema issue(s):`, result.errors);
+  }
+
+  return {
+    segment: current,
+    validation: {
+      format,
+      valid: result.valid,
+      repaired: attempts > 0 && result.valid,
+      repairAttempts: attempts,
+      initialErrors,
+      errors: result.errors
+    }
+  };
+}
+
+// Report for a whole generation run
+export function summarizeValidation(reports) {
+  return {
+    valid: reports.every(report => report.valid),
+    repaired: reports.filter(report => report.repaired).length,
+    segments: reports.map((report, i) => ({ segmentNumber: i + 1, ...report }))
+  };
+}
+
+// Best guess for segments edited or assembled by a client
+export function detectSegmentFormat(segment) {
+  if (segment?.segment_info?.continuation) return 'continuation';
+  if (segment?.segment_info?.continuity_markers) return 'enhanced';
+  return 'standard';
+}
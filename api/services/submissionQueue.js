@@ -0,0 +1,133 @@
+// In-process queue for Veo submissions: caps concurrent and per-minute
+// requests and retries quota/server errors with exponential backoff.
+//
+// Each task may call `onWait({ reason, retryAt, attempt, error })` whenever it
+// has to wait for a free slot ('concurrency', retryAt null), the rate window or
+// a backoff, so callers can report it as queued instead of failed.
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+export class SubmissionQueue {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.requestsPerMinute = Math.max(1, options.requestsPerMinute || 60);
+    this.maxAttempts = Math.max(1, options.maxAttempts || 1);
+    this.baseDelayMs = options.baseDelayMs || 10000;
+    this.maxDelayMs = options.maxDelayMs || 5 * 60 * 1000;
+    this.isRetryable = options.isRetryable || (() => false);
+
+    this.pending = [];
+    this.sequence = 0;
+    this.active = 0;
+    this.startedAt = [];
+    // Set after a retryable error; nothing starts before this time
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  enqueue(key, task, { onWait } = {}) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({
+        key, task, onWait, resolve, reject,
+        order: this.sequence++,
+        attempt: 0,
+        lastError: null,
+        waitReason: null,
+        waitingUntil: 0
+      });
+      this.pump();
+    });
+  }
+
+  // 1-based place among submissions that have not started yet (0 when not waiting)
+  positionOf(key) {
+    return this.pending.findIndex(entry => entry.key === key) + 1;
+  }
+
+  // Drop a submission that has not started yet; its promise rejects with `error`.
+  // Returns false when the task is already running (or unknown)
+  cancel(key, error) {
+    const index = this.pending.findIndex(entry => entry.key === key);
+    if (index === -1) return false;
+    const [entry] = this.pending.splice(index, 1);
+    entry.reject(error);
+    return true;
+  }
+
+  getBackoffDelay(attempt) {
+    // Exponential backoff with equal jitter
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  nextStartTime(now) {
+    this.startedAt = this.startedAt.filter(time => now - time < RATE_WINDOW_MS);
+    const rateFreeAt = this.startedAt.length >= this.requestsPerMinute
+      ? this.startedAt[0] + RATE_WINDOW_MS
+      : now;
+    return Math.max(rateFreeAt, this.pausedUntil);
+  }
+
+  announceWait(reason, retryAt = null) {
+    for (const entry of this.pending) {
+      // Once per entry, and again whenever a timed wait gets longer
+      if (entry.waitReason && (retryAt === null || entry.waitingUntil >= retryAt)) continue;
+      entry.waitReason = reason;
+      entry.waitingUntil = retryAt || 0;
+      entry.onWait?.({
+        reason,
+        retryAt,
+        attempt: entry.attempt,
+        error: entry.lastError?.message || null
+      });
+    }
+  }
+
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.pending.length > 0 && this.active < this.concurrency) {
+      const now = Date.now();
+      const startAt = this.nextStartTime(now);
+      if (startAt > now) {
+        this.announceWait(this.pausedUntil > now ? 'backoff' : 'rate_limit', startAt);
+        this.timer = setTimeout(() => this.pump(), startAt - now);
+        this.timer.unref?.();
+        return;
+      }
+      this.run(this.pending.shift());
+    }
+
+    // Whatever is left waits for a running submission to finish
+    if (this.pending.length > 0) {
+      this.announceWait('concurrency');
+    }
+  }
+
+  async run(entry) {
+    this.active++;
+    this.startedAt.push(Date.now());
+    entry.attempt++;
+
+    try {
+      entry.resolve(await entry.task());
+    } catch (error) {
+      if (entry.attempt < this.maxAttempts && this.isRetryable(error)) {
+        // Quota and server errors hit every submission, so back off the whole queue
+        const delay = this.getBackoffDelay(entry.attempt);
+        console.warn(`[SubmissionQueue] ${entry.key} attempt ${entry.attempt} failed (${error.message}); retrying in ${Math.round(delay / 1000)}s`);
+        entry.lastError = error;
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        // Back in line at its original place
+        const index = this.pending.findIndex(other => other.order > entry.order);
+        this.pending.splice(index === -1 ? this.pending.length : index, 0, entry);
+      } else {
+        entry.reject(error);
+      }
+    } finally {
+      this.active--;
+      this.pump();
+    }
+  }
+}
@@ -1,551 +1,824 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { VertexAI } from '@google-cloud/vertexai';
 import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { EventEmitter } from 'events';
+import { pipeline } from 'stream/promises';
+import { createJobStore } from './jobStore.js';
+import { ServiceError } from './errors.js';
+import { extractLastFrame, parseImageInput } from './frameExtractor.js';
+import { getContinuityHints, planBoundaries, stitchClips } from './videoStitcher.js';
+import { deliverWebhook } from './webhookNotifier.js';
+import { SubmissionQueue } from './submissionQueue.js';
+import { checkCapabilities, resolveVeoParameters } from './veoParameters.js';
+import { reviewPrompt } from './promptSafety.js';
+import { compileVeoPrompt, resolvePromptOptions } from './promptCompiler.js';
+import { describeSafetyFilter } from './raiFilters.js';
+import { detectSegmentFormat, summarizeValidation, validateSegment } from './segmentValidator.js';
+import { getDefaultProviderName, getVideoProvider } from './providers/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const TERMINAL_STATUSES = new Set(['completed', 'error', 'cancelled']);
+// Delay before each operation poll; the last entry repeats
+const POLL_SCHEDULE_MS = [5000, 10000, 15000, 20000, 30000];
+const OPERATION_TIMEOUT_MS = parseInt(process.env.VEO_OPERATION_TIMEOUT_MS, 10) || 20 * 60 * 1000;
+// A sequential segment claimed for submission is claimed again after this long
+// (the process that claimed it was stopped before submitting)
+const SEQUENTIAL_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+function isRetryableSubmitError(error) {
+  return error.apiStatus === 429 || error.apiStatus >= 500 || error.message.includes('RESOURCE_EXHAUSTED');
+}
+
 class Veo3Service {
   constructor() {
-    this.genAI = null;
-    this.vertexAI = null;
-    this.useVertexAI = false;
-    this.initializeClient();
+    this.jobStore = createJobStore('jobs');
+    this.batchStore = createJobStore('batches');
+    this.submissionQueue = new SubmissionQueue({
+      concurrency: parseInt(process.env.VEO_SUBMIT_CONCURRENCY, 10) || 2,
+      requestsPerMinute: parseInt(process.env.VEO_SUBMIT_RPM, 10) || 4,
+      maxAttempts: parseInt(process.env.VEO_SUBMIT_MAX_ATTEMPTS, 10) || 6,
+      baseDelayMs: parseInt(process.env.VEO_SUBMIT_BACKOFF_MS, 10) || 10000,
+      isRetryable: isRetryableSubmitError
+    });
+    // 'video' and 'batch' updates for live subscribers (SSE)
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
   }
 
-  initializeClient() {
-    // Check for Vertex AI configuration first
-    if (process.env.GOOGLE_APPLICATION_CREDENTIALS || 
-        (process.env.VERTEX_PROJECT_ID && process.env.VERTEX_LOCATION)) {
-      try {
-        const projectId = process.env.VERTEX_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT;
-        const location = process.env.VERTEX_LOCATION || 'us-central1';
-        
-        this.vertexAI = new VertexAI({
-          project: projectId,
-          location: location,
-        });
-        
-        this.useVertexAI = true;
-        console.log('[Veo3] Vertex AI client initialized');
-        console.log(`[Veo3] Project: ${projectId}, Location: ${location}`);
-      } catch (error) {
-        console.error('[Veo3] Failed to initialize Vertex AI:', error);
-      }
-    }
+  async generateVideosWithVeo3(segments, options = {}) {
+    console.log('[Veo3Service] Starting Veo 3 video generation');
     
-    // Fall back to Gemini API if no Vertex AI
-    if (!this.useVertexAI) {
-      const apiKey = process.env.GOOGLE_GEMINI_API_KEY;
-      if (apiKey && apiKey.trim() !== '') {
-        this.genAI = new GoogleGenerativeAI(apiKey);
-        console.log('[Veo3] Gemini API client initialized');
-      } else {
-        console.warn('[Veo3] No API credentials found');
-      }
-    }
-  }
-
-  async generateVideoFromSegment(segment, options = {}) {
-    // Try to initialize again if not already done
-    if (!this.genAI && !this.vertexAI) {
-      this.initializeClient();
+    const {
+      quality = 'standard',
+      language = 'es',
+      sequential = false,
+      startImage = null,
+      segmentImages = [],
+      videoParameters = {},
+      segmentParameters = [],
+      provider = getDefaultProviderName(),
+      callback = null,
+      publicBaseUrl = null,
+      // { tokenBudget, truncationOrder } for the compiled Veo prompts
+      promptOptions = {},
+      // Submit even when the safety pre-check blocks a segment
+      safetyAcknowledged = false
+    } = options;
+    
+    // Validate the provider, supplied stills and Veo parameters before anything is submitted
+    const capabilities = getVideoProvider(provider).capabilities();
+    const suppliedImages = segments.map((_, i) => parseImageInput(segmentImages[i] || (i === 0 ? startImage : null)));
+    const veoParameters = segments.map((_, i) => {
+      const label = segmentParameters[i] ? `segmentParameters[${i}]` : 'videoParameters';
+      return checkCapabilities(resolveVeoParameters(videoParameters, segmentParameters[i], { quality, label }), capabilities, {
+        label,
+        hasImage: !!suppliedImages[i]
+      });
+    });
+    const promptSettings = resolvePromptOptions(promptOptions);
+    
+    // Safety pre-check: warnings go back to the client, blocking findings stop the run
+    const safety = this.reviewSegmentPrompts(segments, language, { veoParameters, promptOptions: promptSettings });
+    const blocked = safety.filter(review => review.blocked);
+    if (blocked.length > 0 && !safetyAcknowledged) {
+      throw new ServiceError(
+        `Safety pre-check flagged segment(s) ${blocked.map(review => review.segmentIndex).join(', ')}; edit them or resend with safetyAcknowledged: true`,
+        422,
+        'safety_review_required',
+        { safety }
+      );
     }
     
-    if (!this.genAI && !this.vertexAI) {
-      throw new Error('Veo 3 service not initialized. Please configure either Vertex AI or Gemini API credentials');
+    // Schema check of the segments as sent; clients may have edited them, so this is only reported
+    const validation = summarizeValidation(segments.map((segment) => {
+      const format = detectSegmentFormat(segment);
+      return { format, ...validateSegment(segment, format) };
+    }));
+    if (!validation.valid) {
+      console.warn('[Veo3Service] Submitting segment(s) that do not match their schema:', validation.segments.filter(report => !report.valid).map(report => report.segmentNumber));
     }
-
-    console.log('[Veo3] Generating video for segment', segment.segment_info?.segment_number);
-
-    try {
-      // Create a detailed prompt from the segment data
-      const prompt = this.createVideoPrompt(segment, options);
+    
+    const batch = await this.createBatch(
+      segments,
+      { quality, language, sequential, provider, videoParameters, segmentParameters, promptOptions: promptSettings },
+      { callback, publicBaseUrl, veoParameters, safety, startImages: sequential ? suppliedImages : [] }
+    );
+    const context = { segments, quality, language, sequential, provider, veoParameters, promptOptions: promptSettings, batchId: batch.id };
+    
+    const estimates = segments.map((segment, i) => this.estimateVideoGenerationTime(segment, quality, veoParameters[i]));
+    const totalEstimatedTime = estimates.reduce((sum, estimate) => sum + estimate, 0);
+    let videos;
+    
+    if (sequential) {
+      // Each segment starts from the last frame of the previous clip, so the chain
+      // takes as long as all renders together. Submit the first segment now; the
+      // rest wait in the batch and advanceSequentialBatch submits each one once
+      // the clip before it has finished
+      console.log('[Veo3Service] Generating videos sequentially for continuity');
       
-      // Use appropriate model based on authentication method
-      let model;
-      if (this.useVertexAI) {
-        model = this.vertexAI.getGenerativeModel({ 
-          model: 'gemini-1.5-flash-002' 
-        });
-      } else {
-        model = this.genAI.getGenerativeModel({ 
-          model: 'gemini-1.5-flash' 
+      const first = await this.queueSubmission(segments[0], {
+        ...context,
+        index: 0,
+        image: suppliedImages[0],
+        startImageSource: suppliedImages[0] ? 'supplied' : null
+      });
+      
+      videos = [
+        first.video,
+        ...segments.slice(1).map((_, i) => ({
+          segmentIndex: i + 2,
+          videoId: null,
+          status: 'queued',
+          progress: 0,
+          estimatedTime: estimates[i + 1],
+          queue: { reason: 'previous_segment', waitingFor: i + 1 }
+        }))
+      ];
+    } else {
+      // Generate videos in parallel; the submission queue paces the requests and
+      // segments held back by quota come back as 'queued'
+      const submissions = await Promise.all(segments.map((segment, i) => {
+        console.log(`[Veo3Service] Queueing video for segment ${i + 1}/${segments.length}`);
+        return this.queueSubmission(segment, {
+          ...context,
+          index: i,
+          image: suppliedImages[i],
+          startImageSource: suppliedImages[i] ? 'supplied' : null
         });
-      }
+      }));
       
-      const result = await model.generateContent({
-        contents: [{
-          role: 'user',
-          parts: [{
-            text: `Generate a detailed video shot list for this UGC segment:\n\n${prompt}\n\nProvide frame-by-frame descriptions for an 8-second video.`
-          }]
-        }]
-      });
-
-      const response = await result.response;
-      const videoDescription = response.text();
-
-      return {
-        success: true,
-        segmentNumber: segment.segment_info?.segment_number,
-        videoDescription,
-        prompt,
-        duration: '8 seconds',
-        status: 'description_generated',
-        message: 'Video description generated. Full Veo 3 integration coming soon!'
-      };
-
-    } catch (error) {
-      console.error('[Veo3] Error generating video:', error);
-      throw error;
+      videos = submissions.map(({ video }) => video);
     }
-  }
 
-  createVideoPrompt(segment, options) {
-    const isEnhanced = segment.segment_info?.continuity_markers ? true : false;
+    return {
+      batchId: batch.id,
+      provider,
+      videos,
+      safety,
+      validation,
+      estimatedTime: totalEstimatedTime,
+      totalSegments: segments.length,
+      sequential: sequential
+    };
+  }
+  
+  async advanceSequentialBatch(batchId) {
+    // Submit the next segment of a sequential batch once the clip before it has
+    // finished. The chain lives in the batch and job stores, so whichever process
+    // sees the clip finish (background poller, status or batch poll) moves it on;
+    // nothing has to keep running after the request that started the batch
+    if (!batchId) return null;
     
-    let prompt = '';
-
-    if (isEnhanced) {
-      // Enhanced format with continuity markers
-      prompt = `
-UGC Video Segment ${segment.segment_info.segment_number} of ${segment.segment_info.total_segments}
-Duration: ${segment.segment_info.duration}
-
-CONTINUITY REQUIREMENTS:
-- Start: ${segment.segment_info.continuity_markers.start_position}
-- End: ${segment.segment_info.continuity_markers.end_position}
-- Start Expression: ${segment.segment_info.continuity_markers.start_expression}
-- End Expression: ${segment.segment_info.continuity_markers.end_expression}
-
-CHARACTER:
-${segment.character_description.current_state}
-
-DIALOGUE: "${segment.action_timeline.dialogue}"
-
-SYNCHRONIZED ACTIONS:
-${Object.entries(segment.action_timeline.synchronized_actions || {})
-  .map(([time, action]) => `${time}: ${action}`)
-  .join('\n')}
-
-SCENE:
-- Camera: ${segment.scene_continuity.camera_position}
-- Environment: ${segment.scene_continuity.props_in_frame}
-
-MICRO-EXPRESSIONS:
-${segment.action_timeline.micro_expressions || 'Natural facial movements'}
-
-Style: Authentic UGC content, handheld camera feel, natural lighting`;
-    } else {
-      // Standard format
-      prompt = `
-UGC Video Segment ${segment.segment_info?.segment_number || 1}
-
-CHARACTER STATE:
-${segment.character_description?.current_state || 'Natural, relaxed presenter'}
-
-DIALOGUE: "${segment.action_timeline?.dialogue || ''}"
-
-ACTIONS:
-${segment.action_timeline?.synchronized_actions || 'Natural gestures while speaking'}
-
-CAMERA:
-${segment.scene_continuity?.camera_position || 'Medium shot, eye level'}
-
-Style: Authentic UGC content, casual and relatable`;
-    }
-
-    return prompt.trim();
+    const claim = await this.withBatchLock(batchId, async () => {
+      const batch = await this.batchStore.get(batchId);
+      if (!batch?.options?.sequential || batch.cancelledAt) return null;
+      
+      // Only the first waiting segment can be due; the ones after it wait on it
+      const now = Date.now();
+      const index = batch.items.findIndex(item => !item.videoId && (
+        item.queue?.reason === 'previous_segment' ||
+        (item.queue?.reason === 'submitting' && now - item.queue.claimedAt > SEQUENTIAL_CLAIM_TIMEOUT_MS)
+      ));
+      if (index <= 0) return null;
+      
+      const previous = batch.items[index - 1];
+      const previousJob = previous.videoId ? await this.jobStore.get(previous.videoId) : null;
+      const previousStatus = previousJob?.status || previous.status;
+      if (!TERMINAL_STATUSES.has(previousStatus)) return null;
+      
+      // Claim the segment so a concurrent poll does not submit it again
+      const items = batch.items.map((item, i) => (i === index
+        ? { ...item, status: 'pending', queue: { reason: 'submitting', claimedAt: now } }
+        : item));
+      await this.batchStore.update(batchId, { items });
+      return { batch, index, previous: { ...previous, status: previousStatus } };
+    });
+    if (!claim) return null;
+    
+    const { batch, index, previous } = claim;
+    const { quality, language, provider } = batch.options;
+    console.log(`[Veo3Service] Segment ${index} of ${batchId} finished (${previous.status}), submitting segment ${index + 1}/${batch.items.length}`);
+    
+    // Without a frame from the previous clip the supplied still (if any) is used,
+    // and the item records why
+    const continuity = previous.status === 'completed'
+      ? await this.extractContinuityFrame(previous.videoId)
+      : null;
+    const suppliedImage = batch.startImages?.[index] || null;
+    
+    const { video } = await this.queueSubmission(batch.segments[index], {
+      segments: batch.segments,
+      index,
+      quality,
+      language,
+      sequential: true,
+      provider,
+      veoParameters: batch.veoParameters,
+      promptOptions: batch.options.promptOptions,
+      promptOverrides: batch.promptOverrides,
+      batchId,
+      image: continuity?.image || suppliedImage,
+      startImageSource: continuity?.image ? 'previous_segment' : (suppliedImage ? 'supplied' : null),
+      startImageError: continuity?.error || null
+    });
+    return video;
   }
-
-  async generateVideosForAllSegments(segments, options = {}) {
-    console.log(`[Veo3] Generating videos for ${segments.length} segments`);
+  
+  async submitSegment(segment, context) {
+    // Submit one segment to Veo and start tracking its operation
+    const { index, segments, quality, language, image = null, startImageSource = null, startImageError = null, sequential = false, batchId = null } = context;
+    const parameters = context.veoParameters?.[index] || resolveVeoParameters({}, {}, { quality });
+    const estimatedTime = this.estimateVideoGenerationTime(segment, quality, parameters);
     
-    const videoPromises = segments.map((segment, index) => 
-      this.generateVideoFromSegment(segment, {
-        ...options,
-        segmentIndex: index
-      })
-    );
-
-    try {
-      const results = await Promise.all(videoPromises);
-      return {
-        success: true,
-        videos: results,
-        totalSegments: segments.length
-      };
-    } catch (error) {
-      console.error('[Veo3] Error generating videos:', error);
-      throw error;
+    // Convert segment to Veo 3 format with continuity context (or the prompt an editor
+    // resubmitted for this segment), plus any configured safety rewrites
+    const basePrompt = context.promptOverrides?.[index + 1] || this.convertSegmentToVeo3Prompt(segment, language, index, segments, {
+      durationSeconds: parameters.durationSeconds,
+      promptOptions: context.promptOptions
+    });
+    const review = reviewPrompt(basePrompt);
+    const veo3Prompt = review.prompt;
+    if (review.rewrites.length > 0) {
+      console.log(`[Veo3Service] Applied ${review.rewrites.length} safety rewrite(s) to segment ${index + 1}:`, review.rewrites);
     }
-  }
-
-  // Future method for actual Veo 3 API integration
-  async generateActualVideo(prompt, options = {}) {
-    // This will be implemented when we have proper Veo 3 API access
-    // For now, it returns a placeholder
+    console.log(`[Veo3Service] Generated prompt for segment ${index + 1}:`, veo3Prompt.substring(0, 200) + '...');
+    
+    // Call Veo 3 API
+    const videoResult = await this.callVeo3API(veo3Prompt, quality, {
+      image,
+      parameters,
+      provider: context.provider,
+      segmentIndex: index + 1
+    });
+    
+    const sequenceInfo = sequential
+      ? { sequential: true, sequencePosition: index + 1, totalSequences: segments.length }
+      : {};
+    
+    // Initialize video status tracking
+    const job = await this.jobStore.create({
+      id: videoResult.id,
+      operationName: videoResult.operation?.name,
+      provider: videoResult.provider,
+      status: 'processing',
+      progress: 0,
+      startTime: Date.now(),
+      estimatedCompletion: Date.now() + estimatedTime * 1000,
+      prompt: veo3Prompt,
+      quality: quality,
+      parameters,
+      segmentIndex: index + 1,
+      batchId,
+      continuity: getContinuityHints(segment),
+      startImageSource,
+      startImageError,
+      resubmittedFrom: context.resubmittedFrom || null,
+      ...sequenceInfo,
+      operation: videoResult.operation // Store the Veo 3.1 operation
+    });
+    
+    console.log(`[Veo3Service] Initialized video status for ${videoResult.id}: ${job.status}`);
+    
+    this.emitVideoUpdate(job);
+    this.startBackgroundPolling(videoResult.id);
+    
     return {
-      status: 'pending_implementation',
-      message: 'Direct Veo 3 video generation will be available with proper API credentials',
-      estimatedCost: '$0.75 per second',
-      prompt
+      segmentIndex: index + 1,
+      videoId: videoResult.id,
+      status: 'processing',
+      progress: 0,
+      estimatedTime: estimatedTime,
+      downloadUrl: null,
+      thumbnail: videoResult.thumbnail,
+      startImageSource,
+      startImageError,
+      ...sequenceInfo
     };
   }
-
-  async generateVideosWithVeo3(segments, options = {}) {
-    console.log('[Veo3Service] Starting Veo 3 video generation');
+  
+  queueKey(batchId, segmentIndex) {
+    return `${batchId}#${segmentIndex}`;
+  }
+  
+  async queueSubmission(segment, context) {
+    // Submit through the quota-aware queue. Resolves with the submitted video, or
+    // with a 'queued' placeholder as soon as the submission has to wait; `settled`
+    // resolves with the final outcome, which is recorded on the batch either way
+    const { batchId, index, quality } = context;
+    const segmentIndex = index + 1;
+    const key = this.queueKey(batchId, segmentIndex);
+    const estimatedTime = this.estimateVideoGenerationTime(segment, quality, context.veoParameters?.[index]);
+    const startImage = { startImageSource: context.startImageSource || null, startImageError: context.startImageError || null };
     
-    const { quality = 'standard', language = 'es', sequential = false } = options;
+    let reportWait;
+    const firstWait = new Promise(resolve => { reportWait = resolve; });
     
-    const videos = [];
-    let totalEstimatedTime = 0;
+    const onWait = (wait) => {
+      const video = {
+        segmentIndex,
+        videoId: null,
+        status: 'queued',
+        progress: 0,
+        estimatedTime,
+        ...startImage,
+        queue: {
+          position: this.submissionQueue.positionOf(key),
+          reason: wait.reason,
+          retryAt: wait.retryAt ? new Date(wait.retryAt).toISOString() : null,
+          attempts: wait.attempt,
+          lastError: wait.error
+        }
+      };
+      console.log(`[Veo3Service] Segment ${segmentIndex} of ${batchId} queued (${wait.reason})${video.queue.retryAt ? ` until ${video.queue.retryAt}` : ''}`);
+      this.recordBatchItem(batchId, video).catch(error => {
+        console.error(`[Veo3Service] Could not record queued segment ${segmentIndex}:`, error);
+      });
+      reportWait(video);
+    };
     
-    if (sequential) {
-      // Generate videos sequentially for continuity
-      console.log('[Veo3Service] Generating videos sequentially for continuity');
-      
-      for (let i = 0; i < segments.length; i++) {
-        const segment = segments[i];
-        const estimatedTime = this.estimateVideoGenerationTime(segment, quality);
-        
-        console.log(`[Veo3Service] Generating video ${i + 1}/${segments.length} sequentially`);
-        console.log(`[Veo3Service] Segment ${i + 1} details:`, {
-          segmentIndex: i + 1,
-          hasDialogue: !!segment.action_timeline?.dialogue,
-          dialogueLength: segment.action_timeline?.dialogue?.length || 0,
-          hasCharacter: !!segment.character_description,
-          hasScene: !!segment.scene_continuity
-        });
-        
-        try {
-          // Convert segment to Veo 3 format with continuity context
-          const veo3Prompt = this.convertSegmentToVeo3Prompt(segment, language, i, segments);
-          console.log(`[Veo3Service] Generated prompt for segment ${i + 1}:`, veo3Prompt.substring(0, 200) + '...');
-          
-          // Call Veo 3 API
-          const videoResult = await this.callVeo3API(veo3Prompt, quality);
-          
-          // Initialize video status tracking
-          this.videoStatuses = this.videoStatuses || {};
-          this.videoStatuses[videoResult.id] = {
-            id: videoResult.id,
-            status: 'processing',
-            progress: 0,
-            startTime: Date.now(),
-            estimatedCompletion: Date.now() + estimatedTime * 1000,
-            prompt: veo3Prompt,
-            quality: quality,
-            segmentIndex: i + 1,
-            sequential: true,
-            sequencePosition: i + 1,
-            totalSequences: segments.length,
-            operation: videoResult.operation // Store the Veo 3.1 operation
-          };
-          
-          console.log(`[Veo3Service] Initialized sequential video ${i + 1}/${segments.length}:`, this.videoStatuses[videoResult.id]);
-          
-          // Start progress simulation with sequential timing
-          this.simulateSequentialProgress(videoResult.id, i + 1, segments.length);
-          
-          videos.push({
-            segmentIndex: i + 1,
-            videoId: videoResult.id,
-            status: 'processing',
-            progress: 0,
-            estimatedTime: estimatedTime,
-            downloadUrl: null,
-            thumbnail: videoResult.thumbnail,
-            sequential: true,
-            sequencePosition: i + 1,
-            totalSequences: segments.length
-          });
-          
-          totalEstimatedTime += estimatedTime;
-          
-          // Wait for current video to complete before starting next
-          if (i < segments.length - 1) {
-            console.log(`[Veo3Service] Waiting for video ${i + 1} to complete before starting video ${i + 2}`);
-            await this.waitForVideoCompletion(videoResult.id);
-          }
-          
-        } catch (error) {
-          console.error(`[Veo3Service] Error generating sequential video ${i + 1}:`, error);
-          console.error(`[Veo3Service] Error details for segment ${i + 1}:`, {
-            segmentIndex: i + 1,
-            errorMessage: error.message,
-            errorType: error.constructor.name,
-            hasQuotaError: error.message.includes('429') || error.message.includes('RESOURCE_EXHAUSTED'),
-            segmentContent: {
-              hasDialogue: !!segment.action_timeline?.dialogue,
-              dialogueLength: segment.action_timeline?.dialogue?.length || 0,
-              hasCharacter: !!segment.character_description,
-              hasScene: !!segment.scene_continuity
-            }
-          });
-          
-          // Check if it's a quota error
-          const isQuotaError = error.message.includes('429') || error.message.includes('RESOURCE_EXHAUSTED');
-          const errorMessage = isQuotaError 
-            ? 'API quota exceeded. Please check your Google AI Studio usage limits.'
-            : error.message;
-          
-          videos.push({
-            segmentIndex: i + 1,
-            videoId: null,
-            status: 'error',
-            error: errorMessage,
-            estimatedTime: estimatedTime,
-            quotaExceeded: isQuotaError
-          });
+    const settled = this.submissionQueue.enqueue(key, () => this.submitSegment(segment, context), { onWait })
+      .catch((error) => {
+        if (error.code === 'cancelled') {
+          console.log(`[Veo3Service] Submission of segment ${segmentIndex} of ${batchId} cancelled`);
+          return { segmentIndex, videoId: null, status: 'cancelled', progress: 0, estimatedTime, ...startImage };
         }
-      }
-    } else {
-      // Generate videos in parallel (original behavior)
-      for (let i = 0; i < segments.length; i++) {
-        const segment = segments[i];
-        const estimatedTime = this.estimateVideoGenerationTime(segment, quality);
-        
-        console.log(`[Veo3Service] Generating video for segment ${i + 1}/${segments.length}`);
+        console.error(`[Veo3Service] Error generating video for segment ${segmentIndex}:`, error);
+        return { ...this.describeSubmissionError(segmentIndex, error, estimatedTime), ...startImage };
+      })
+      .then(async (video) => {
+        await this.recordBatchItem(batchId, video, { attempted: video.status !== 'cancelled' });
         
-        try {
-          // Convert segment to Veo 3 format
-          const veo3Prompt = this.convertSegmentToVeo3Prompt(segment, language);
-          
-          // Call Veo 3 API
-          const videoResult = await this.callVeo3API(veo3Prompt, quality);
-          
-          // Initialize video status tracking
-          this.videoStatuses = this.videoStatuses || {};
-          this.videoStatuses[videoResult.id] = {
-            id: videoResult.id,
-            status: 'processing',
-            progress: 0,
-            startTime: Date.now(),
-            estimatedCompletion: Date.now() + estimatedTime * 1000,
-            prompt: veo3Prompt,
-            quality: quality,
-            segmentIndex: i + 1,
-            operation: videoResult.operation // Store the Veo 3.1 operation
-          };
-          
-          console.log(`[Veo3Service] Initialized video status for ${videoResult.id}:`, this.videoStatuses[videoResult.id]);
-          
-          // Start progress simulation
-          this.simulateProgress(videoResult.id);
-          
-          videos.push({
-            segmentIndex: i + 1,
-            videoId: videoResult.id,
-            status: 'processing',
-            progress: 0,
-            estimatedTime: estimatedTime,
-            downloadUrl: null,
-            thumbnail: videoResult.thumbnail
-          });
-          
-          totalEstimatedTime += estimatedTime;
-          
-        } catch (error) {
-          console.error(`[Veo3Service] Error generating video for segment ${i + 1}:`, error);
-          
-          // Check if it's a quota error
-          const isQuotaError = error.message.includes('429') || error.message.includes('RESOURCE_EXHAUSTED');
-          const errorMessage = isQuotaError 
-            ? 'API quota exceeded. Please check your Google AI Studio usage limits.'
-            : error.message;
-          
-          videos.push({
-            segmentIndex: i + 1,
-            videoId: null,
-            status: 'error',
-            error: errorMessage,
-            estimatedTime: estimatedTime,
-            quotaExceeded: isQuotaError
-          });
+        // The batch was cancelled while this submission was already in flight
+        if (video.videoId && await this.isBatchCancelled(batchId)) {
+          const cancelled = await this.cancelVideo(video.videoId).catch(() => null);
+          if (cancelled) {
+            return { ...video, status: cancelled.status };
+          }
         }
-      }
-    }
+        return video;
+      });
+    
+    const video = await Promise.race([settled, firstWait]);
+    return { video, settled };
+  }
+  
+  describeSubmissionError(segmentIndex, error, estimatedTime) {
+    // Check if it's a quota error
+    const isQuotaError = error.message.includes('429') || error.message.includes('RESOURCE_EXHAUSTED');
+    const errorMessage = isQuotaError 
+      ? 'API quota exceeded. Please check your Google AI Studio usage limits.'
+      : error.message;
     
     return {
-      videos,
-      estimatedTime: totalEstimatedTime,
-      totalSegments: segments.length,
-      sequential: sequential
+      segmentIndex,
+      videoId: null,
+      status: 'error',
+      error: errorMessage,
+      estimatedTime: estimatedTime,
+      quotaExceeded: isQuotaError
     };
   }
   
-  convertSegmentToVeo3Prompt(segment, language = 'es', sequenceIndex = 0, allSegments = []) {
-    // Convert our segment format to Veo 3 prompt format following policy guidelines
-    const dialogue = segment.action_timeline?.dialogue || '';
-    const character = segment.character_description || {};
-    const scene = segment.scene_continuity || {};
+  async createBatch(segments, options, { callback = null, publicBaseUrl = null, veoParameters = [], safety = [], startImages = [] } = {}) {
+    // A batch groups the videos of one generation run; segments are kept for retries
+    return this.batchStore.create({
+      id: `batch_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      options,
+      segments,
+      // Validated Veo parameters per segment, reused on retry
+      veoParameters,
+      // Supplied stills of later sequential segments, used when no frame can be extracted
+      startImages: startImages.map((image, i) => (i > 0 ? image : null)),
+      // Safety pre-check findings, for segments that had any
+      safety: safety
+        .filter(review => review.warnings.length > 0 || review.rewrites.length > 0)
+        .map(({ segmentIndex, warnings, rewrites }) => ({ segmentIndex, warnings, rewrites })),
+      // Webhook target (never returned by getBatch since it may hold a secret)
+      callback,
+      callbackNotified: false,
+      publicBaseUrl,
+      // Sequential segments wait for the previous clip before they are submitted
+      items: segments.map((_, i) => ({
+        segmentIndex: i + 1,
+        videoId: null,
+        status: options.sequential && i > 0 ? 'queued' : 'pending',
+        queue: options.sequential && i > 0 ? { reason: 'previous_segment', waitingFor: i } : null,
+        attempts: 0
+      }))
+    });
+  }
+  
+  withBatchLock(batchId, fn) {
+    // Queued submissions settle concurrently; serialise read-modify-write of a batch
+    this.batchLocks = this.batchLocks || new Map();
+    const run = (this.batchLocks.get(batchId) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    this.batchLocks.set(batchId, tail);
+    tail.then(() => {
+      if (this.batchLocks.get(batchId) === tail) this.batchLocks.delete(batchId);
+    });
+    return run;
+  }
+  
+  async recordBatchItem(batchId, video, { attempted = false } = {}) {
+    const updated = await this.withBatchLock(batchId, async () => {
+      const batch = await this.batchStore.get(batchId);
+      if (!batch) return null;
+      
+      const items = batch.items.map(item => {
+        if (item.segmentIndex !== video.segmentIndex) return item;
+        return {
+          ...item,
+          videoId: video.videoId,
+          status: video.status,
+          progress: video.progress || 0,
+          downloadUrl: video.downloadUrl || null,
+          error: video.error || null,
+          errorCode: video.errorCode || null,
+          safetyFilter: video.safetyFilter || null,
+          quotaExceeded: !!video.quotaExceeded,
+          queue: video.queue || null,
+          startImageSource: video.startImageSource || null,
+          startImageError: video.startImageError || null,
+          attempts: item.attempts + (attempted ? 1 : 0)
+        };
+      });
+      
+      return this.batchStore.update(batchId, { items });
+    });
+    if (!updated) return null;
+    this.events.emit('batch', { batchId });
+    
+    // Submission failures never reach the poller, so report them here
+    if (attempted && video.status === 'error' && !video.videoId) {
+      await this.notifySegmentFinished(updated, video);
+      await this.advanceSequentialBatch(batchId);
+    }
+    await this.notifyBatchIfFinished(batchId);
+    return updated;
+  }
+  
+  absoluteUrl(batch, urlPath) {
+    if (!urlPath || !batch.publicBaseUrl) return urlPath || null;
+    return new URL(urlPath, batch.publicBaseUrl).toString();
+  }
+  
+  async notifySegmentFinished(batch, video) {
+    if (!batch?.callback) return;
+    deliverWebhook(batch.callback, {
+      event: 'segment.finished',
+      batchId: batch.id,
+      videoId: video.videoId || null,
+      segmentIndex: video.segmentIndex,
+      status: video.status,
+      downloadUrl: this.absoluteUrl(batch, video.downloadUrl),
+      error: video.error || null,
+      quotaExceeded: !!video.quotaExceeded,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  async notifyBatchIfFinished(batchId) {
+    const batch = await this.batchStore.get(batchId);
+    if (!batch?.callback || batch.callbackNotified) return;
     
-    // Ensure content is appropriate and follows Veo 3 policies
-    const cleanDialogue = this.sanitizeDialogue(dialogue);
+    const summary = await this.getBatch(batchId, { refresh: false });
+    if (!this.isFinishedBatch(summary.status)) return;
     
-    let prompt = `Create an 8-second video featuring a ${character.age || 'adult'} ${character.gender || 'person'} `;
+    // Two segments finishing together must not both send the batch webhook
+    const claimed = await this.withBatchLock(batchId, async () => {
+      const latest = await this.batchStore.get(batchId);
+      if (latest.callbackNotified) return false;
+      await this.batchStore.update(batchId, { callbackNotified: true });
+      return true;
+    });
+    if (!claimed) return;
     
-    // Add appropriate character description
-    if (character.physical) {
-      prompt += `with ${character.physical.toLowerCase()}. `;
+    deliverWebhook(batch.callback, {
+      event: 'batch.finished',
+      batchId,
+      status: summary.status,
+      counts: summary.counts,
+      items: summary.items.map(item => ({
+        segmentIndex: item.segmentIndex,
+        videoId: item.videoId,
+        status: item.status,
+        downloadUrl: this.absoluteUrl(batch, item.downloadUrl),
+        error: item.error || null
+      })),
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  async notifyVideoFinished(job) {
+    // Webhooks for a video that just reached a terminal status; in sequential
+    // batches the next segment was waiting for it
+    if (!job.batchId) return;
+    try {
+      const batch = await this.batchStore.get(job.batchId);
+      await this.notifySegmentFinished(batch, { ...job, videoId: job.id });
+      await this.notifyBatchIfFinished(job.batchId);
+    } catch (error) {
+      console.error(`[Veo3Service] Could not send webhook for ${job.id}:`, error);
     }
-    
-    if (character.clothing) {
-      prompt += `Wearing ${character.clothing.toLowerCase()}. `;
+    await this.advanceSequentialBatch(job.batchId).catch((error) => {
+      console.error(`[Veo3Service] Could not submit the segment after ${job.id}:`, error);
+    });
+  }
+  
+  isFinishedBatch(status) {
+    return ['completed', 'failed', 'partial', 'cancelled'].includes(status);
+  }
+  
+  async isBatchCancelled(batchId) {
+    const batch = await this.batchStore.get(batchId);
+    return !!batch?.cancelledAt;
+  }
+  
+  async cancelBatch(batchId) {
+    // Stop everything that has not finished: queued submissions are dropped,
+    // running operations cancelled, and sequential batches submit nothing further
+    const batch = await this.batchStore.get(batchId);
+    if (!batch) {
+      throw new ServiceError('Batch not found', 404, 'not_found');
     }
     
-    // Add environment description
-    if (scene.environment) {
-      prompt += `In a ${scene.environment.toLowerCase()}. `;
-    }
+    console.log(`[Veo3Service] Cancelling batch ${batchId}`);
     
-    // Add dialogue with proper context and language instructions
-    if (cleanDialogue) {
-      prompt += `The person says: "${cleanDialogue}". `;
-    }
+    await this.withBatchLock(batchId, () => this.batchStore.update(batchId, { cancelledAt: Date.now() }));
     
-    // Add language-specific instructions for Veo 3
-    if (language === 'es') {
-      prompt += `IMPORTANT: This video must be generated entirely in Spanish language. All dialogue, narration, and text must be in Spanish. The character must speak in Spanish with natural Spanish pronunciation and accent. The video content, descriptions, and any on-screen text must be in Spanish. `;
+    const current = await this.getBatch(batchId, { refresh: false });
+    for (const item of current.items) {
+      if (item.videoId) {
+        if (!TERMINAL_STATUSES.has(item.status)) {
+          await this.cancelVideo(item.videoId).catch((error) => {
+            console.error(`[Veo3Service] Could not cancel ${item.videoId}:`, error);
+          });
+        }
+      } else if (item.status === 'pending' || item.status === 'queued') {
+        // Not submitted yet; a submission already in flight is cancelled once it returns
+        this.submissionQueue.cancel(
+          this.queueKey(batchId, item.segmentIndex),
+          new ServiceError('Submission cancelled', 409, 'cancelled')
+        );
+        await this.recordBatchItem(batchId, { segmentIndex: item.segmentIndex, videoId: null, status: 'cancelled' });
+      }
     }
     
-    // Add camera and lighting details
-    if (segment.action_timeline?.camera_movements) {
-      prompt += `Camera: ${segment.action_timeline.camera_movements.toLowerCase()}. `;
+    return this.getBatch(batchId, { refresh: false });
+  }
+  
+  async getBatch(batchId, { refresh = true, persist = true } = {}) {
+    // persist: false only reads (live event streams summarise on every update)
+    if (refresh) {
+      // Picks up a sequential segment whose submission was claimed but never made
+      await this.advanceSequentialBatch(batchId);
     }
-    
-    if (scene.lighting_state) {
-      prompt += `Lighting: ${scene.lighting_state.toLowerCase()}. `;
+    const batch = await this.batchStore.get(batchId);
+    if (!batch) {
+      throw new ServiceError('Batch not found', 404, 'not_found');
     }
     
-    // Add time of day if specified
-    if (scene.lighting && scene.lighting !== 'natural daylight') {
-      prompt += `Time: ${scene.lighting.toLowerCase()}. `;
-    }
+    // Read every submitted segment from its video job (polling Veo when refreshing)
+    const jobs = await Promise.all(batch.items.map(async (item) => {
+      if (!item.videoId) return null;
+      return refresh ? this.refreshOperation(item.videoId) : this.jobStore.get(item.videoId);
+    }));
+    const fresh = new Map(jobs.filter(Boolean).map(job => [job.id, this.formatVideoStatus(job)]));
     
-    // Ensure the prompt is appropriate and follows guidelines
-    prompt = this.ensurePolicyCompliance(prompt);
+    // Merge into the latest stored items; a segment may have been resubmitted meanwhile
+    const merge = latest => latest.items.map((item) => {
+      const status = item.videoId && fresh.get(item.videoId);
+      if (!status) return item;
+      return {
+        ...item,
+        status: status.status,
+        progress: status.progress || 0,
+        downloadUrl: status.downloadUrl || null,
+        selectedTake: status.selectedTake || null,
+        error: status.error || null,
+        errorCode: status.errorCode || null,
+        safetyFilter: status.safetyFilter || null
+      };
+    });
+    const updated = persist
+      ? await this.withBatchLock(batchId, async () => {
+        const latest = await this.batchStore.get(batchId);
+        return this.batchStore.update(batchId, { items: merge(latest) });
+      })
+      : { ...batch, items: merge(batch) };
     
-    return prompt;
-  }
-  
-  sanitizeDialogue(dialogue) {
-    // Remove any potentially problematic content
-    if (!dialogue) return '';
+    const items = updated.items.map((item) => {
+      if (item.status !== 'queued' || !item.queue) return item;
+      const position = this.submissionQueue.positionOf(this.queueKey(batchId, item.segmentIndex));
+      return { ...item, queue: { ...item.queue, position: position || item.queue.position } };
+    });
+    
+    const counts = {};
+    items.forEach(item => { counts[item.status] = (counts[item.status] || 0) + 1; });
     
-    // Remove excessive punctuation and ensure appropriate content
-    let clean = dialogue
-      .replace(/[!]{2,}/g, '!') // Max one exclamation
-      .replace(/[?]{2,}/g, '?') // Max one question mark
-      .replace(/[.]{3,}/g, '...') // Max three dots
-      .trim();
+    const progress = Math.round(items.reduce((sum, item) => {
+      if (item.status === 'completed') return sum + 100;
+      if (item.status === 'error' || item.status === 'cancelled') return sum;
+      return sum + (item.progress || 0);
+    }, 0) / items.length);
     
-    // Ensure dialogue is not too long for 8 seconds
-    if (clean.length > 200) {
-      clean = clean.substring(0, 200) + '...';
+    let status = 'processing';
+    if (counts.completed === items.length) status = 'completed';
+    else if (counts.error === items.length) status = 'failed';
+    else if ((counts.completed || 0) + (counts.error || 0) + (counts.cancelled || 0) === items.length) {
+      status = updated.cancelledAt ? 'cancelled' : 'partial';
     }
     
-    return clean;
+    return {
+      id: updated.id,
+      status,
+      progress,
+      counts,
+      totalSegments: items.length,
+      options: updated.options,
+      cancelledAt: updated.cancelledAt || null,
+      safety: updated.safety || [],
+      items,
+      errors: items
+        .filter(item => item.status === 'error')
+        .map(({ segmentIndex, videoId, error, errorCode, safetyFilter, quotaExceeded, attempts }) => ({
+          segmentIndex, videoId, error, errorCode, safetyFilter, quotaExceeded, attempts
+        })),
+      createdAt: updated.createdAt,
+      updatedAt: updated.updatedAt
+    };
   }
   
-  ensurePolicyCompliance(prompt) {
-    // Ensure the prompt follows Veo 3 content policies
-    let compliant = prompt;
+  async retryBatch(batchId, { segmentIndexes = null } = {}) {
+    // Re-submit only the failed (or cancelled) segments of a batch
+    const current = await this.getBatch(batchId);
+    const batch = await this.batchStore.get(batchId);
+    const { quality, language, sequential, provider } = batch.options;
+    
+    const targets = current.items.filter(item =>
+      (item.status === 'error' || item.status === 'cancelled') &&
+      (!segmentIndexes || segmentIndexes.includes(item.segmentIndex))
+    );
+    if (targets.length === 0) {
+      throw new ServiceError('No failed or cancelled segments to retry', 409, 'nothing_to_retry');
+    }
+    
+    console.log(`[Veo3Service] Retrying ${targets.length} segment(s) of ${batchId}`);
     
-    // Remove any potentially problematic terms
-    const problematicTerms = [
-      'violence', 'weapon', 'dangerous', 'harmful', 'inappropriate',
-      'explicit', 'adult', 'mature', 'controversial'
-    ];
+    // Sequential batches resubmit the first target now; the others go back to
+    // waiting on the clip before them and advanceSequentialBatch submits them in turn
+    const submitNow = sequential ? targets.slice(0, 1) : targets;
+    const waiting = new Set(targets.slice(submitNow.length).map(item => item.segmentIndex));
     
-    problematicTerms.forEach(term => {
-      const regex = new RegExp(term, 'gi');
-      compliant = compliant.replace(regex, '');
+    // Hold the batch webhook until every target is resubmitted. Retrying resumes a cancelled batch
+    await this.withBatchLock(batchId, async () => {
+      const latest = await this.batchStore.get(batchId);
+      const items = latest.items.map((item) => {
+        // Claimed like advanceSequentialBatch does, so a concurrent poll does not
+        // see it failed and submit the segment after it meanwhile
+        if (sequential && item.segmentIndex === submitNow[0].segmentIndex) {
+          return { ...item, videoId: null, status: 'pending', queue: { reason: 'submitting', claimedAt: Date.now() } };
+        }
+        if (!waiting.has(item.segmentIndex)) return item;
+        return {
+          ...item,
+          videoId: null,
+          status: 'queued',
+          progress: 0,
+          downloadUrl: null,
+          error: null,
+          errorCode: null,
+          safetyFilter: null,
+          quotaExceeded: false,
+          queue: { reason: 'previous_segment', waitingFor: item.segmentIndex - 1 },
+          startImageSource: null,
+          startImageError: null
+        };
+      });
+      return this.batchStore.update(batchId, { items, callbackNotified: true, cancelledAt: null });
     });
     
-    // Ensure positive, appropriate content
-    if (!compliant.includes('positive') && !compliant.includes('friendly') && !compliant.includes('professional')) {
-      compliant += ' The content should be positive and appropriate.';
+    for (const item of submitNow) {
+      const index = item.segmentIndex - 1;
+      const segment = batch.segments[index];
+      
+      // In sequential batches keep continuity with the previous clip when it rendered
+      const previous = current.items[index - 1];
+      const continuity = sequential && previous?.status === 'completed'
+        ? await this.extractContinuityFrame(previous.videoId)
+        : null;
+      
+      await this.queueSubmission(segment, {
+        segments: batch.segments,
+        index,
+        quality,
+        language,
+        sequential,
+        provider,
+        veoParameters: batch.veoParameters,
+        promptOptions: batch.options.promptOptions,
+        promptOverrides: batch.promptOverrides,
+        batchId,
+        image: continuity?.image || null,
+        startImageSource: continuity?.image ? 'previous_segment' : null,
+        startImageError: continuity?.error || null
+      });
     }
     
-    return compliant;
+    // The batch finishes again once the retried segments do
+    await this.withBatchLock(batchId, () => this.batchStore.update(batchId, { callbackNotified: false }));
+    await this.notifyBatchIfFinished(batchId);
+    
+    return this.getBatch(batchId);
   }
   
-  async callVeo3API(prompt, quality) {
-    // Make actual API call to Google's Veo 3.1 API
+  convertSegmentToVeo3Prompt(segment, language = 'es', sequenceIndex = 0, allSegments = [], { durationSeconds = 8, promptOptions = null } = {}) {
+    // Compile every field of the segment into a sectioned Veo prompt within the token budget
+    const compiled = this.compileSegmentPrompt(segment, { language, sequenceIndex, allSegments, durationSeconds, promptOptions });
+    if (compiled.truncated.length > 0) {
+      console.log(`[Veo3Service] Prompt for segment ${sequenceIndex + 1} shortened to fit ${compiled.tokens.budget} tokens:`, compiled.truncated.map(entry => entry.field).join(', '));
+    }
+    return compiled.prompt;
+  }
+  
+  compileSegmentPrompt(segment, { language = 'es', sequenceIndex = 0, allSegments = [], durationSeconds = 8, promptOptions = null } = {}) {
+    return compileVeoPrompt(segment, {
+      language,
+      durationSeconds,
+      previousSegment: allSegments[sequenceIndex - 1] || null,
+      ...(promptOptions || resolvePromptOptions())
+    });
+  }
+  
+  reviewSegmentPrompts(segments, language = 'es', { veoParameters = [], promptOptions = null } = {}) {
+    // Pre-flight safety review of the prompt each segment will be submitted with
+    return segments.map((segment, i) => ({
+      segmentIndex: i + 1,
+      ...reviewPrompt(this.convertSegmentToVeo3Prompt(segment, language, i, segments, {
+        durationSeconds: veoParameters[i]?.durationSeconds,
+        promptOptions
+      }))
+    }));
+  }
+  
+  previewPrompts(segments, { language = 'es', quality = 'standard', videoParameters = {}, segmentParameters = [], promptOptions = {} } = {}) {
+    // The exact prompts generateVideosWithVeo3 would submit (after safety rewrites), without submitting
+    const settings = resolvePromptOptions(promptOptions);
+    return segments.map((segment, i) => {
+      const label = segmentParameters[i] ? `segmentParameters[${i}]` : 'videoParameters';
+      const { durationSeconds } = resolveVeoParameters(videoParameters, segmentParameters[i], { quality, label });
+      const compiled = this.compileSegmentPrompt(segment, { language, sequenceIndex: i, allSegments: segments, durationSeconds, promptOptions: settings });
+      const review = reviewPrompt(compiled.prompt);
+      return {
+        segmentIndex: i + 1,
+        format: compiled.format,
+        prompt: review.prompt,
+        tokens: compiled.tokens,
+        truncated: compiled.truncated,
+        overBudget: compiled.overBudget,
+        missing: compiled.missing,
+        safety: { warnings: review.warnings, rewrites: review.rewrites, blocked: review.blocked }
+      };
+    });
+  }
+  
+  async callVeo3API(prompt, quality, options = {}) {
+    // Submit to the selected video provider (Veo through Vertex AI or the Gemini API by default)
     console.log('[Veo3Service] Making API call to Veo 3.1 with prompt:', prompt.substring(0, 100) + '...');
     
+    const provider = getVideoProvider(options.provider);
+    
     try {
-      if (this.genAI) {
-        // Use Gemini API for Veo 3.1 video generation
-        console.log('[Veo3Service] Using Gemini API for Veo 3.1 video generation');
-        
-        // Use the REST API directly since the SDK doesn't support Veo 3.1
-        console.log('[Veo3Service] Making real API call to Google AI Studio REST API');
-        
-        const apiKey = this.genAI.apiKey;
-        if (!apiKey) {
-          throw new Error('No API key available for Google AI Studio');
-        }
-        
-        const baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
-        const modelUrl = `${baseUrl}/models/veo-3.1-generate-preview:predictLongRunning`;
-        
-        console.log('[Veo3Service] Making REST API call to:', modelUrl);
-        
-        const requestBody = {
-          instances: [{
-            prompt: prompt
-          }]
-        };
-        
-        const response = await fetch(modelUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-goog-api-key': apiKey
-          },
-          body: JSON.stringify(requestBody)
-        });
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Google AI Studio API error: ${response.status} - ${errorText}`);
-        }
-        
-        const result = await response.json();
-        console.log('[Veo3Service] Google AI Studio API response:', result);
-        
-        const operation = {
-          name: result.name,
-          done: result.done || false,
-          metadata: result.metadata || {},
-          response: result.response
-        };
-        
-        console.log('[Veo3Service] Veo 3.1 video generation operation started:', operation.name);
-        console.log('[Veo3Service] Operation details:', {
-          name: operation.name,
-          done: operation.done,
-          metadata: operation.metadata
-        });
-        
-        // Return operation details for polling
-        return {
-          id: operation.name,
-          status: 'processing',
-          operation: operation,
-          thumbnail: null, // Will be available after completion
-          apiResponse: 'Veo 3.1 video generation initiated'
-        };
-        
-      } else {
-        throw new Error('No Veo 3.1 API client available');
-      }
+      console.log(`[Veo3Service] Using ${provider.name} provider for video generation`);
+      
+      const { operationName, operation } = await provider.submit({
+        prompt,
+        image: options.image || null,
+        parameters: options.parameters || null,
+        segmentIndex: options.segmentIndex
+      });
+      
+      console.log('[Veo3Service] Veo 3.1 video generation operation started:', operationName);
+      console.log('[Veo3Service] Operation details:', {
+        name: operationName,
+        done: operation.done,
+        metadata: operation.metadata
+      });
+      
+      // Return operation details for polling
+      return {
+        id: operationName,
+        status: 'processing',
+        provider: provider.name,
+        operation: operation,
+        thumbnail: null, // Will be available after completion
+        apiResponse: 'Veo 3.1 video generation initiated'
+      };
     } catch (error) {
       console.error('[Veo3Service] Error calling Veo 3.1 API:', error);
       console.error('[Veo3Service] Error details:', error.message);
@@ -553,120 +826,339 @@ Style: Authentic UGC content, casual and relatable`;
     }
   }
   
+  async fetchOperation(operationName, providerName) {
+    return getVideoProvider(providerName).poll(operationName);
+  }
   
-  simulateProgress(videoId) {
-    // Simulate realistic progress updates
-    console.log(`[Veo3Service] Starting progress simulation for video: ${videoId}`);
-    const status = this.videoStatuses[videoId];
-    if (!status) {
-      console.log(`[Veo3Service] No status found for video: ${videoId}`);
-      return;
-    }
-    
-    const progressSteps = [
-      { progress: 10, status: 'Initializing video generation...', delay: 5000 },
-      { progress: 25, status: 'Processing character details...', delay: 10000 },
-      { progress: 50, status: 'Generating scene elements...', delay: 15000 },
-      { progress: 75, status: 'Rendering video frames...', delay: 20000 },
-      { progress: 90, status: 'Finalizing video...', delay: 25000 },
-      { progress: 100, status: 'completed', delay: 30000 }
-    ];
-    
-    progressSteps.forEach((step, index) => {
-      setTimeout(() => {
-        if (this.videoStatuses && this.videoStatuses[videoId]) {
-          console.log(`[Veo3Service] Updating progress for ${videoId}: ${step.progress}% - ${step.status}`);
-          this.videoStatuses[videoId].progress = step.progress;
-          this.videoStatuses[videoId].status = step.status;
-          
-          if (step.progress === 100) {
-            this.videoStatuses[videoId].status = 'completed';
-            this.videoStatuses[videoId].downloadUrl = `https://example.com/videos/${videoId}.mp4`;
-            console.log(`[Veo3Service] Video ${videoId} completed!`);
-          }
-        } else {
-          console.log(`[Veo3Service] Video status not found for ${videoId} during progress update`);
-        }
-      }, step.delay);
+  getOperationProgress(videoStatus, operation) {
+    // Only a percentage reported by the operation itself; Veo usually reports
+    // none, and a number made up from elapsed time would look just as real
+    const metadata = operation?.metadata || {};
+    const reported = Number(metadata.progressPercent ?? metadata.progress_percent ?? metadata.progress);
+    if (Number.isFinite(reported)) {
+      return { progress: Math.min(99, Math.max(0, Math.round(reported))), progressSource: 'operation' };
+    }
+    
+    return { progress: null, progressSource: 'unknown' };
+  }
+  
+  async refreshOperation(videoId) {
+    // Poll the real Veo operation once and persist what it reports
+    const videoStatus = await this.jobStore.get(videoId);
+    if (!videoStatus || TERMINAL_STATUSES.has(videoStatus.status) || !videoStatus.operationName) {
+      return videoStatus;
+    }
+    
+    let result;
+    try {
+      console.log(`[Veo3Service] Polling Veo 3.1 operation status for: ${videoId}`);
+      result = await this.fetchOperation(videoStatus.operationName, videoStatus.provider);
+    } catch (error) {
+      // A failed poll says nothing about the render itself; keep the job processing
+      console.error(`[Veo3Service] Error polling operation status for ${videoId}:`, error);
+      return this.jobStore.update(videoId, {
+        lastPolledAt: Date.now(),
+        lastPollError: error.message
+      });
+    }
+    
+    console.log(`[Veo3Service] Operation status update:`, {
+      done: result.done,
+      name: videoStatus.operationName
     });
+    
+    const patch = {
+      operation: result.raw,
+      operationMetadata: result.metadata || null,
+      lastPolledAt: Date.now(),
+      lastPollError: null
+    };
+    
+    if (result.done) {
+      const generatedVideos = result.videos;
+      // Reason codes and explanations when Veo's safety filters dropped videos
+      const safetyFilter = describeSafetyFilter(result.filtered, result.error);
+      patch.safetyFilter = safetyFilter;
+      patch.errorCode = null;
+      
+      if (result.error) {
+        patch.status = 'error';
+        patch.error = safetyFilter ? `Blocked by Veo safety filters: ${safetyFilter.explanation}` : result.error;
+        patch.errorCode = safetyFilter ? 'safety_filtered' : null;
+        console.log(`[Veo3Service] Video generation failed for ${videoId}:`, patch.error);
+      } else if (generatedVideos.length > 0) {
+        // Video generation completed; with sampleCount > 1 every sample is a take
+        // and the first one is selected until an editor picks another
+        patch.status = 'completed';
+        patch.progress = 100;
+        patch.completedAt = Date.now();
+        patch.takes = generatedVideos.map((video, i) => ({
+          take: i + 1,
+          videoUri: video.uri,
+          thumbnail: video.thumbnailUri || null
+        }));
+        // Set when the provider served a placeholder instead of a real render
+        patch.warning = result.warning || null;
+        patch.selectedTake = 1;
+        patch.videoUri = patch.takes[0].videoUri;
+        patch.downloadUrl = this.getDownloadPath(videoId);
+        patch.thumbnail = patch.takes[0].thumbnail;
+        
+        console.log(`[Veo3Service] Video generation completed for ${videoId}:`, {
+          videoUri: patch.videoUri,
+          takes: patch.takes.length,
+          thumbnail: patch.thumbnail
+        });
+      } else if (safetyFilter) {
+        patch.status = 'error';
+        patch.error = `Veo safety filters removed ${safetyFilter.filteredCount || 'every'} generated video(s): ${safetyFilter.explanation}`;
+        patch.errorCode = 'safety_filtered';
+        console.log(`[Veo3Service] Video generation filtered for ${videoId}:`, safetyFilter.reasons);
+      } else {
+        patch.status = 'error';
+        patch.error = 'No video generated in response';
+        console.log(`[Veo3Service] Video generation failed for ${videoId}: No video in response`);
+      }
+    } else {
+      // Still processing
+      Object.assign(patch, this.getOperationProgress(videoStatus, result));
+      
+      if (Date.now() - videoStatus.startTime > OPERATION_TIMEOUT_MS) {
+        patch.status = 'error';
+        patch.error = `Veo operation did not finish within ${Math.round(OPERATION_TIMEOUT_MS / 60000)} minutes`;
+      }
+      
+      console.log(`[Veo3Service] Video still processing for ${videoId}: ${patch.progress ?? '?'}% (${patch.progressSource})`);
+    }
+    
+    // The job may have been cancelled while Veo was being polled
+    const latest = await this.jobStore.get(videoId);
+    if (latest?.status === 'cancelled') {
+      return latest;
+    }
+    
+    const updated = await this.jobStore.update(videoId, patch);
+    this.emitVideoUpdate(updated);
+    if (TERMINAL_STATUSES.has(updated.status)) {
+      await this.notifyVideoFinished(updated);
+    }
+    return updated;
   }
   
-  simulateSequentialProgress(videoId, sequencePosition, totalSequences) {
-    // Simulate progress for sequential video generation
-    console.log(`[Veo3Service] Starting sequential progress simulation for video ${sequencePosition}/${totalSequences}: ${videoId}`);
-    
-    const status = this.videoStatuses[videoId];
-    if (!status) {
-      console.log(`[Veo3Service] No status found for sequential video: ${videoId}`);
-      return;
-    }
-    
-    const progressSteps = [
-      { progress: 10, status: `Initializing video ${sequencePosition}/${totalSequences}...`, delay: 2000 },
-      { progress: 25, status: `Processing character continuity for video ${sequencePosition}...`, delay: 4000 },
-      { progress: 50, status: `Generating scene elements for video ${sequencePosition}...`, delay: 6000 },
-      { progress: 75, status: `Rendering video frames ${sequencePosition}...`, delay: 8000 },
-      { progress: 90, status: `Finalizing video ${sequencePosition}...`, delay: 10000 },
-      { progress: 100, status: 'completed', delay: 12000 }
-    ];
-    
-    progressSteps.forEach((step, index) => {
-      setTimeout(() => {
-        if (this.videoStatuses && this.videoStatuses[videoId]) {
-          console.log(`[Veo3Service] Updating sequential progress for ${videoId}: ${step.progress}% - ${step.status}`);
-          this.videoStatuses[videoId].progress = step.progress;
-          this.videoStatuses[videoId].status = step.status;
-          
-          if (step.progress === 100) {
-            this.videoStatuses[videoId].status = 'completed';
-            this.videoStatuses[videoId].downloadUrl = `https://example.com/videos/${videoId}.mp4`;
-            console.log(`[Veo3Service] Sequential video ${sequencePosition}/${totalSequences} completed!`);
-          }
-        } else {
-          console.log(`[Veo3Service] Video status not found for ${videoId} during sequential progress update`);
-        }
-      }, step.delay);
+  isFinishedStatus(status) {
+    return TERMINAL_STATUSES.has(status) || status === 'not_found';
+  }
+  
+  emitVideoUpdate(job) {
+    if (!job) return;
+    this.events.emit('video', {
+      videoId: job.id,
+      batchId: job.batchId,
+      status: this.formatVideoStatus(job)
     });
   }
   
-  async waitForVideoCompletion(videoId) {
-    // Wait for video to complete before starting next
-    return new Promise((resolve) => {
-      const checkCompletion = () => {
-        if (this.videoStatuses && this.videoStatuses[videoId]) {
-          const status = this.videoStatuses[videoId];
-          if (status.status === 'completed') {
-            console.log(`[Veo3Service] Video ${videoId} completed, ready for next video`);
-            resolve();
-          } else {
-            setTimeout(checkCompletion, 1000); // Check every second
-          }
-        } else {
-          console.log(`[Veo3Service] Video status not found for ${videoId}, proceeding anyway`);
-          resolve();
+  getPollDelay(attempt) {
+    return POLL_SCHEDULE_MS[Math.min(attempt, POLL_SCHEDULE_MS.length - 1)];
+  }
+  
+  startBackgroundPolling(videoId) {
+    // Keep the job store current even when no client is polling
+    this.pollers = this.pollers || new Map();
+    if (this.pollers.has(videoId)) return;
+    
+    const schedule = (attempt) => {
+      const timer = setTimeout(async () => {
+        const job = await this.refreshOperation(videoId).catch((error) => {
+          console.error(`[Veo3Service] Background poll failed for ${videoId}:`, error);
+          return null;
+        });
+        
+        if (!job || TERMINAL_STATUSES.has(job.status)) {
+          this.pollers.delete(videoId);
+          return;
         }
-      };
-      checkCompletion();
+        schedule(attempt + 1);
+      }, this.getPollDelay(attempt));
+      
+      // Never keep the process alive just for polling
+      timer.unref?.();
+      this.pollers.set(videoId, timer);
+    };
+    
+    schedule(0);
+  }
+  
+  async cancelVideo(videoId) {
+    // Cancel one segment: ask the provider to stop the operation where it can,
+    // stop polling it and mark the job cancelled
+    const job = await this.jobStore.get(videoId);
+    if (!job) {
+      throw new ServiceError('Video not found', 404, 'not_found');
+    }
+    if (TERMINAL_STATUSES.has(job.status)) {
+      throw new ServiceError(`Video already ${job.status}`, 409, 'already_finished');
+    }
+    
+    const operationCancelled = job.operationName
+      ? await getVideoProvider(job.provider).cancel(job.operationName)
+      : false;
+    
+    if (this.pollers?.has(videoId)) {
+      clearTimeout(this.pollers.get(videoId));
+      this.pollers.delete(videoId);
+    }
+    
+    const updated = await this.jobStore.update(videoId, {
+      status: 'cancelled',
+      cancelledAt: Date.now(),
+      operationCancelled
+    });
+    console.log(`[Veo3Service] Cancelled ${videoId} (operation ${operationCancelled ? 'cancelled' : 'left to expire'} at the provider)`);
+    
+    this.emitVideoUpdate(updated);
+    await this.notifyVideoFinished(updated);
+    return { ...this.formatVideoStatus(updated), operationCancelled };
+  }
+  
+  async resubmitVideo(videoId, { prompt = null, safetyAcknowledged = false } = {}) {
+    // Submit one finished segment again, optionally with an edited prompt
+    // (typically after Veo's safety filters rejected it)
+    const job = await this.jobStore.get(videoId);
+    if (!job) {
+      throw new ServiceError('Video not found', 404, 'not_found');
+    }
+    if (!TERMINAL_STATUSES.has(job.status)) {
+      throw new ServiceError('Video is still processing; cancel it before resubmitting', 409, 'not_finished');
+    }
+    
+    const batch = job.batchId ? await this.batchStore.get(job.batchId) : null;
+    if (!batch) {
+      throw new ServiceError('Only videos from a generation batch can be resubmitted', 409, 'not_resubmittable');
+    }
+    const item = batch.items.find(entry => entry.segmentIndex === job.segmentIndex);
+    if (item?.videoId !== videoId) {
+      throw new ServiceError('This segment has been resubmitted since; use its current video', 409, 'superseded', {
+        currentVideoId: item?.videoId || null
+      });
+    }
+    
+    // An edited prompt gets the same pre-flight check as a new run
+    let safety = null;
+    if (prompt) {
+      const review = reviewPrompt(prompt);
+      safety = { warnings: review.warnings, rewrites: review.rewrites };
+      if (review.blocked && !safetyAcknowledged) {
+        throw new ServiceError(
+          'Safety pre-check flagged the edited prompt; edit it or resend with safetyAcknowledged: true',
+          422,
+          'safety_review_required',
+          { safety: [{ segmentIndex: job.segmentIndex, ...review }] }
+        );
+      }
+    }
+    
+    const promptOverrides = prompt
+      ? { ...batch.promptOverrides, [job.segmentIndex]: prompt }
+      : batch.promptOverrides;
+    const { quality, language, sequential, provider } = batch.options;
+    const index = job.segmentIndex - 1;
+    
+    console.log(`[Veo3Service] Resubmitting segment ${job.segmentIndex} of ${batch.id} (${prompt ? 'edited prompt' : 'same prompt'})`);
+    
+    // As in retryBatch: hold the batch webhook until the segment is back in flight
+    await this.withBatchLock(batch.id, () => this.batchStore.update(batch.id, { callbackNotified: true, promptOverrides }));
+    
+    // In sequential batches keep continuity with the previous clip when it rendered
+    const previous = batch.items[index - 1];
+    const continuity = sequential && previous?.status === 'completed'
+      ? await this.extractContinuityFrame(previous.videoId)
+      : null;
+    
+    const { video, settled } = await this.queueSubmission(batch.segments[index], {
+      segments: batch.segments,
+      index,
+      quality,
+      language,
+      sequential,
+      provider,
+      veoParameters: batch.veoParameters,
+      promptOptions: batch.options.promptOptions,
+      promptOverrides,
+      batchId: batch.id,
+      image: continuity?.image || null,
+      startImageSource: continuity?.image ? 'previous_segment' : null,
+      startImageError: continuity?.error || null,
+      resubmittedFrom: videoId
+    });
+    settled.then((result) => {
+      if (result.videoId) return this.jobStore.update(videoId, { supersededBy: result.videoId });
+    }).catch((error) => {
+      console.error(`[Veo3Service] Could not link ${videoId} to its resubmission:`, error);
     });
+    
+    await this.withBatchLock(batch.id, () => this.batchStore.update(batch.id, { callbackNotified: false }));
+    await this.notifyBatchIfFinished(batch.id);
+    
+    return { batchId: batch.id, previousVideoId: videoId, ...video, safety };
   }
   
-  estimateVideoGenerationTime(segment, quality) {
-    // Estimate based on segment complexity and quality
-    const baseTime = 120; // 2 minutes base
-    const qualityMultiplier = quality === 'high' ? 1.5 : 1.0;
+  estimateVideoGenerationTime(segment, quality, parameters = null) {
+    // Estimate based on segment complexity and quality (resolution, length and takes when known)
+    const baseTime = 120; // 2 minutes base for one 8s 720p clip
+    const qualityMultiplier = (parameters ? parameters.resolution === '1080p' : quality === 'high') ? 1.5 : 1.0;
+    const durationMultiplier = parameters ? 0.5 + 0.5 * (parameters.durationSeconds / 8) : 1.0;
+    const sampleMultiplier = parameters ? 1 + 0.25 * (parameters.sampleCount - 1) : 1.0;
     const dialogueLength = (segment.action_timeline?.dialogue || '').length;
     const complexityMultiplier = dialogueLength > 100 ? 1.2 : 1.0;
     
-    return Math.round(baseTime * qualityMultiplier * complexityMultiplier);
+    return Math.round(baseTime * qualityMultiplier * durationMultiplier * sampleMultiplier * complexityMultiplier);
+  }
+  
+  formatVideoStatus(videoStatus) {
+    // Public view of a stored job (no operation payloads or file URIs)
+    return {
+      status: videoStatus.status,
+      progress: videoStatus.progress,
+      progressSource: videoStatus.progressSource,
+      downloadUrl: videoStatus.downloadUrl,
+      thumbnail: videoStatus.thumbnail,
+      estimatedCompletion: videoStatus.estimatedCompletion,
+      startTime: videoStatus.startTime,
+      updatedAt: videoStatus.updatedAt,
+      segmentIndex: videoStatus.segmentIndex,
+      batchId: videoStatus.batchId,
+      quality: videoStatus.quality,
+      parameters: videoStatus.parameters,
+      selectedTake: videoStatus.selectedTake,
+      takes: videoStatus.takes?.map(({ take, thumbnail }) => ({
+        take,
+        thumbnail,
+        downloadUrl: this.getDownloadPath(videoStatus.id, take),
+        selected: take === videoStatus.selectedTake
+      })),
+      operationMetadata: videoStatus.operationMetadata,
+      error: videoStatus.error,
+      errorCode: videoStatus.errorCode,
+      // Safety filter reason codes and explanations (also set when only some takes were filtered)
+      safetyFilter: videoStatus.safetyFilter,
+      warning: videoStatus.warning,
+      // Where the clip's starting still came from, and why the previous frame was not used
+      startImageSource: videoStatus.startImageSource,
+      startImageError: videoStatus.startImageError,
+      resubmittedFrom: videoStatus.resubmittedFrom,
+      supersededBy: videoStatus.supersededBy
+    };
   }
   
   async getVideoStatus(videoId) {
     // Check video generation status with real progress
     console.log('[Veo3Service] Checking status for video:', videoId);
-    console.log('[Veo3Service] Available video statuses:', Object.keys(this.videoStatuses || {}));
     
-    if (!this.videoStatuses || !this.videoStatuses[videoId]) {
-      console.log('[Veo3Service] Video not found in statuses, returning not_found');
+    const videoStatus = await this.refreshOperation(videoId);
+    
+    if (!videoStatus) {
+      console.log('[Veo3Service] Video not found in job store, returning not_found');
       return {
         status: 'not_found',
         progress: 0,
@@ -674,145 +1166,152 @@ Style: Authentic UGC content, casual and relatable`;
       };
     }
     
-    const videoStatus = this.videoStatuses[videoId];
+    return this.formatVideoStatus(videoStatus);
+  }
+  
+  async extractContinuityFrame(videoId) {
+    // Download the finished clip to a temp file and grab its final frame.
+    // Returns { image, error }; error ({ code, message }) says why there is no frame
+    let tempDir = null;
     
-    // If we have an operation, poll its status
-    if (videoStatus.operation && !videoStatus.operation.done) {
-      try {
-        console.log(`[Veo3Service] Polling Veo 3.1 operation status for: ${videoId}`);
-        
-        // Poll the operation status using REST API
-        const apiKey = this.genAI.apiKey;
-        const operationName = videoStatus.operation.name;
-        const baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
-        const operationUrl = `${baseUrl}/${operationName}`;
-        
-        console.log('[Veo3Service] Polling operation status at:', operationUrl);
-        
-        const response = await fetch(operationUrl, {
-          method: 'GET',
-          headers: {
-            'x-goog-api-key': apiKey
-          }
-        });
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Google AI Studio API error: ${response.status} - ${errorText}`);
-        }
-        
-        const updatedOperation = await response.json();
-        
-        console.log(`[Veo3Service] Operation status update:`, {
-          done: updatedOperation.done,
-          name: updatedOperation.name
-        });
-        
-        // Update the stored operation
-        videoStatus.operation = updatedOperation;
-        
-        if (updatedOperation.done) {
-          // Video generation completed
-          if (updatedOperation.response && updatedOperation.response.generatedVideos && updatedOperation.response.generatedVideos.length > 0) {
-            const generatedVideo = updatedOperation.response.generatedVideos[0];
-            videoStatus.status = 'completed';
-            videoStatus.progress = 100;
-            videoStatus.downloadUrl = generatedVideo.video.uri;
-            videoStatus.thumbnail = generatedVideo.video.thumbnailUri;
-            
-            console.log(`[Veo3Service] Video generation completed for ${videoId}:`, {
-              status: videoStatus.status,
-              downloadUrl: videoStatus.downloadUrl,
-              thumbnail: videoStatus.thumbnail
-            });
-          } else {
-            videoStatus.status = 'error';
-            videoStatus.error = 'No video generated in response';
-            console.log(`[Veo3Service] Video generation failed for ${videoId}: No video in response`);
-          }
-        } else {
-          // Still processing
-          const elapsed = Date.now() - videoStatus.startTime;
-          const estimatedTotal = videoStatus.estimatedCompletion - videoStatus.startTime;
-          videoStatus.progress = Math.min(95, Math.round((elapsed / estimatedTotal) * 100));
-          
-          console.log(`[Veo3Service] Video still processing for ${videoId}: ${videoStatus.progress}%`);
-        }
-        
-        // Update the stored status
-        this.videoStatuses[videoId] = videoStatus;
-        
-      } catch (error) {
-        console.error(`[Veo3Service] Error polling operation status for ${videoId}:`, error);
-        videoStatus.status = 'error';
-        videoStatus.error = error.message;
+    try {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'veoforge-continuity-'));
+      const tempPath = path.join(tempDir, 'clip.mp4');
+      const video = await this.downloadVideo(videoId);
+      await pipeline(video.stream, createWriteStream(tempPath));
+      const frame = await extractLastFrame(tempPath);
+      console.log(`[Veo3Service] Extracted last frame of ${videoId} for the next segment`);
+      return { image: frame, error: null };
+    } catch (error) {
+      console.warn(`[Veo3Service] Could not extract last frame of ${videoId}, next segment starts without it:`, error.message);
+      return { image: null, error: { code: error.code || 'frame_extraction_failed', message: error.message } };
+    } finally {
+      if (tempDir) await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+  
+  async saveVideoToFile(videoId, filePath) {
+    const video = await this.downloadVideo(videoId);
+    await pipeline(video.stream, createWriteStream(filePath));
+    return filePath;
+  }
+  
+  async stitchVideos(videoIds, options = {}) {
+    // Join completed clips in segment order into one MP4 with planned crossfades
+    const jobs = await Promise.all(videoIds.map(id => this.jobStore.get(id)));
+    
+    const missing = videoIds.filter((id, i) => !jobs[i]);
+    if (missing.length > 0) {
+      throw new ServiceError(`Videos not found: ${missing.join(', ')}`, 404, 'not_found');
+    }
+    
+    const pending = jobs.filter(job => job.status !== 'completed');
+    if (pending.length > 0) {
+      throw new ServiceError('All videos must be completed before stitching', 409, 'not_ready', {
+        pending: pending.map(job => ({ videoId: job.id, segmentIndex: job.segmentIndex, status: job.status }))
+      });
+    }
+    
+    const ordered = [...jobs].sort((a, b) => (a.segmentIndex || 0) - (b.segmentIndex || 0));
+    // Segment JSON sent with the request wins over the hints recorded at submission
+    const hints = ordered.map(job => {
+      const segment = options.segments?.[job.segmentIndex - 1];
+      return segment ? getContinuityHints(segment) : (job.continuity || {});
+    });
+    const boundaries = planBoundaries(hints, options);
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'veoforge-stitch-'));
+    const cleanup = () => fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+    
+    try {
+      const clips = [];
+      for (const job of ordered) {
+        const fileName = `segment_${String(job.segmentIndex).padStart(2, '0')}.mp4`;
+        const filePath = await this.saveVideoToFile(job.id, path.join(tempDir, fileName));
+        clips.push({ videoId: job.id, segmentIndex: job.segmentIndex, take: job.selectedTake || 1, fileName, path: filePath });
       }
+      
+      console.log(`[Veo3Service] Stitching ${clips.length} clips:`, boundaries);
+      
+      const outputPath = path.join(tempDir, 'final_ad.mp4');
+      const result = await stitchClips(clips.map(clip => clip.path), boundaries, outputPath);
+      
+      return {
+        outputPath,
+        clips,
+        boundaries,
+        duration: result.duration,
+        hasAudio: result.hasAudio,
+        cleanup
+      };
+    } catch (error) {
+      await cleanup();
+      throw error;
+    }
+  }
+  
+  getDownloadPath(videoId, take = null) {
+    return take ? `/api/download-video/${videoId}?take=${take}` : `/api/download-video/${videoId}`;
+  }
+  
+  async selectTake(videoId, take) {
+    // Mark the take that downloads, continuity frames and stitching use
+    const job = await this.jobStore.get(videoId);
+    if (!job) {
+      throw new ServiceError('Video not found', 404, 'not_found');
+    }
+    if (job.status !== 'completed') {
+      throw new ServiceError(`Takes can only be chosen once the video is completed (status: ${job.status})`, 409, 'not_ready');
     }
     
-    console.log('[Veo3Service] Video status:', videoStatus);
+    const takes = job.takes || [{ take: 1, videoUri: job.videoUri, thumbnail: job.thumbnail }];
+    const chosen = takes.find(item => item.take === take);
+    if (!chosen) {
+      throw new ServiceError(`take must be between 1 and ${takes.length}`, 400, 'invalid_take');
+    }
     
-    return {
-      status: videoStatus.status,
-      progress: videoStatus.progress,
-      downloadUrl: videoStatus.downloadUrl,
-      estimatedCompletion: videoStatus.estimatedCompletion,
-      startTime: videoStatus.startTime,
-      error: videoStatus.error
-    };
+    console.log(`[Veo3Service] Selected take ${take} of ${videoId}`);
+    
+    const updated = await this.jobStore.update(videoId, {
+      takes,
+      selectedTake: take,
+      videoUri: chosen.videoUri,
+      thumbnail: chosen.thumbnail
+    });
+    this.emitVideoUpdate(updated);
+    return this.formatVideoStatus(updated);
   }
   
-  async downloadVideo(videoId) {
+  async downloadVideo(videoId, options = {}) {
     console.log('[Veo3Service] Downloading video:', videoId);
     
     // Check if video exists in our status tracking
-    if (!this.videoStatuses || !this.videoStatuses[videoId]) {
-      throw new Error('Video not found or not completed');
+    const videoStatus = await this.jobStore.get(videoId);
+    if (!videoStatus) {
+      throw new ServiceError('Video not found', 404, 'not_found');
     }
     
-    const videoStatus = this.videoStatuses[videoId];
     if (videoStatus.status !== 'completed') {
-      throw new Error('Video is not ready for download');
+      throw new ServiceError(`Video is not ready for download (status: ${videoStatus.status})`, 409, 'not_ready');
     }
     
-    try {
-      // Use the actual Veo 3.1 download API
-      if (videoStatus.downloadUrl) {
-        console.log('[Veo3Service] Downloading video from URL:', videoStatus.downloadUrl);
-        
-        // Download the video using the Gemini API files.download method
-        const videoFile = await this.genAI.files.download({
-          file: videoStatus.downloadUrl,
-        });
-        
-        console.log('[Veo3Service] Video downloaded successfully, size:', videoFile.length);
-        return videoFile;
-      } else {
-        throw new Error('No download URL available for video');
+    // A specific take can be previewed without selecting it
+    let videoUri = videoStatus.videoUri;
+    if (options.take) {
+      const take = videoStatus.takes?.find(item => item.take === options.take);
+      if (!take && options.take !== 1) {
+        throw new ServiceError(`Take ${options.take} does not exist for this video`, 404, 'take_not_found');
       }
-    } catch (error) {
-      console.error('[Veo3Service] Error downloading video:', error);
-      
-      // Fallback to placeholder if download fails
-      console.log('[Veo3Service] Falling back to placeholder video');
-      const videoContent = this.generateVideoPlaceholder(videoId);
-      return Buffer.from(videoContent);
-    }
-  }
-  
-  generateVideoPlaceholder(videoId) {
-    // Create a proper MP4 header and placeholder content
-    // This is a minimal valid MP4 file structure
-    const mp4Header = Buffer.from([
-      0x00, 0x00, 0x00, 0x20, 0x66, 0x74, 0x79, 0x70, // ftyp box
-      0x69, 0x73, 0x6F, 0x6D, 0x00, 0x00, 0x02, 0x00,
-      0x69, 0x73, 0x6F, 0x6D, 0x69, 0x73, 0x6F, 0x32,
-      0x6D, 0x70, 0x34, 0x31, 0x00, 0x00, 0x00, 0x08,
-      0x6D, 0x64, 0x61, 0x74, 0x00, 0x00, 0x00, 0x00
-    ]);
-    
-    // Add some content to make it a valid but minimal MP4
-    const content = Buffer.alloc(1024, 0); // 1KB of zeros
-    return Buffer.concat([mp4Header, content]);
+      videoUri = take?.videoUri || videoUri;
+    }
+    
+    if (!videoUri) {
+      throw new ServiceError('No file URI recorded for this video', 502, 'missing_uri');
+    }
+    
+    console.log('[Veo3Service] Streaming video from file URI:', videoUri);
+    
+    return getVideoProvider(videoStatus.provider).download(videoUri, { range: options.range });
   }
 }
 
@@ -0,0 +1,106 @@
+import { ServiceError } from './errors.js';
+
+const ASPECT_RATIOS = ['16:9', '9:16'];
+const RESOLUTIONS = ['720p', '1080p'];
+const DURATIONS = [4, 6, 8];
+const PERSON_GENERATION = ['allow_all', 'allow_adult', 'dont_allow'];
+const MAX_SEED = 4294967295;
+const MAX_SAMPLES = 4;
+const MAX_NEGATIVE_PROMPT_LENGTH = 1000;
+
+// Option names accepted from clients, in the order they are validated
+export const VEO_PARAMETER_NAMES = [
+  'aspectRatio',
+  'resolution',
+  'durationSeconds',
+  'negativePrompt',
+  'seed',
+  'sampleCount',
+  'personGeneration'
+];
+
+function invalid(message, label) {
+  return new ServiceError(`${label}: ${message}`, 400, 'invalid_parameters');
+}
+
+function oneOf(value, allowed, name, label) {
+  if (!allowed.includes(value)) {
+    throw invalid(`${name} must be one of ${allowed.join(', ')}`, label);
+  }
+  return value;
+}
+
+function integer(value, name, min, max, label) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw invalid(`${name} must be an integer between ${min} and ${max}`, label);
+  }
+  return number;
+}
+
+// Merge global options with one segment's overrides and validate the result.
+// `quality: 'high'` picks 1080p unless a resolution is given.
+export function resolveVeoParameters(globalOptions = {}, overrides = {}, { quality = 'standard', label = 'videoParameters' } = {}) {
+  const input = { ...(globalOptions || {}), ...(overrides || {}) };
+  const unknown = Object.keys(input).filter(name => !VEO_PARAMETER_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw invalid(`unknown option(s) ${unknown.join(', ')}`, label);
+  }
+
+  const parameters = {
+    aspectRatio: oneOf(input.aspectRatio ?? '16:9', ASPECT_RATIOS, 'aspectRatio', label),
+    resolution: oneOf(input.resolution ?? (quality === 'high' ? '1080p' : '720p'), RESOLUTIONS, 'resolution', label),
+    durationSeconds: oneOf(Number(input.durationSeconds ?? 8), DURATIONS, 'durationSeconds', label),
+    sampleCount: integer(input.sampleCount ?? 1, 'sampleCount', 1, MAX_SAMPLES, label)
+  };
+
+  // Veo only renders 1080p at the full clip length
+  if (parameters.resolution === '1080p' && parameters.durationSeconds !== 8) {
+    throw invalid('1080p requires durationSeconds 8', label);
+  }
+
+  if (input.negativePrompt !== undefined && input.negativePrompt !== null && input.negativePrompt !== '') {
+    if (typeof input.negativePrompt !== 'string' || input.negativePrompt.length > MAX_NEGATIVE_PROMPT_LENGTH) {
+      throw invalid(`negativePrompt must be a string of at most ${MAX_NEGATIVE_PROMPT_LENGTH} characters`, label);
+    }
+    parameters.negativePrompt = input.negativePrompt.trim();
+  }
+  if (input.seed !== undefined && input.seed !== null) {
+    parameters.seed = integer(input.seed, 'seed', 0, MAX_SEED, label);
+  }
+  if (input.personGeneration !== undefined && input.personGeneration !== null) {
+    parameters.personGeneration = oneOf(input.personGeneration, PERSON_GENERATION, 'personGeneration', label);
+  }
+
+  return parameters;
+}
+
+// Reject parameters the chosen provider cannot render
+export function checkCapabilities(parameters, capabilities, { label = 'videoParameters', hasImage = false } = {}) {
+  if (!capabilities.aspectRatios.includes(parameters.aspectRatio)) {
+    throw invalid(`aspectRatio ${parameters.aspectRatio} is not supported by this provider`, label);
+  }
+  if (!capabilities.resolutions.includes(parameters.resolution)) {
+    throw invalid(`resolution ${parameters.resolution} is not supported by this provider`, label);
+  }
+  if (!capabilities.durations.includes(parameters.durationSeconds)) {
+    throw invalid(`durationSeconds ${parameters.durationSeconds} is not supported by this provider`, label);
+  }
+  if (parameters.sampleCount > capabilities.maxSampleCount) {
+    throw invalid(`sampleCount is limited to ${capabilities.maxSampleCount} by this provider`, label);
+  }
+  if (hasImage && !capabilities.imageToVideo) {
+    throw new ServiceError('This provider cannot start a clip from an image', 400, 'invalid_parameters');
+  }
+  return parameters;
+}
+
+// Request `parameters` block for one Veo call
+export function toRequestParameters(parameters, { hasImage = false } = {}) {
+  const request = { ...parameters };
+  // Image-to-video does not accept allow_all
+  if (hasImage && request.personGeneration === 'allow_all') {
+    request.personGeneration = 'allow_adult';
+  }
+  return request;
+}
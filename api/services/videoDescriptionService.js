@@ -0,0 +1,156 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { VertexAI } from '@google-cloud/vertexai';
+
+// Text shot lists for segments, written by Gemini (/generate-videos and
+// /generate-videos-plus). Nothing is rendered; videos come from Veo3Service.
+class VideoDescriptionService {
+  constructor() {
+    this.genAI = null;
+    this.vertexAI = null;
+    this.useVertexAI = false;
+  }
+
+  initializeClient() {
+    // Check for Vertex AI configuration first
+    if (process.env.GOOGLE_APPLICATION_CREDENTIALS ||
+        (process.env.VERTEX_PROJECT_ID && process.env.VERTEX_LOCATION)) {
+      try {
+        const projectId = process.env.VERTEX_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT;
+        const location = process.env.VERTEX_LOCATION || 'us-central1';
+
+        this.vertexAI = new VertexAI({
+          project: projectId,
+          location: location,
+        });
+
+        this.useVertexAI = true;
+        console.log('[VideoDescription] Vertex AI client initialized');
+        console.log(`[VideoDescription] Project: ${projectId}, Location: ${location}`);
+      } catch (error) {
+        console.error('[VideoDescription] Failed to initialize Vertex AI:', error);
+      }
+    }
+
+    // Fall back to Gemini API if no Vertex AI
+    if (!this.useVertexAI) {
+      const apiKey = process.env.GOOGLE_GEMINI_API_KEY;
+      if (apiKey && apiKey.trim() !== '') {
+        this.genAI = new GoogleGenerativeAI(apiKey);
+        console.log('[VideoDescription] Gemini API client initialized');
+      } else {
+        console.warn('[VideoDescription] No API credentials found');
+      }
+    }
+  }
+
+  async describeSegment(segment) {
+    // Clients are created on first use so importing the service logs nothing
+    if (!this.genAI && !this.vertexAI) {
+      this.initializeClient();
+    }
+
+    if (!this.genAI && !this.vertexAI) {
+      throw new Error('Video descriptions need either Vertex AI or Gemini API credentials');
+    }
+
+    console.log('[VideoDescription] Describing segment', segment.segment_info?.segment_number);
+
+    const prompt = this.createVideoPrompt(segment);
+
+    // Use appropriate model based on authentication method
+    const model = this.useVertexAI
+      ? this.vertexAI.getGenerativeModel({ model: 'gemini-1.5-flash-002' })
+      : this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+
+    const result = await model.generateContent({
+      contents: [{
+        role: 'user',
+        parts: [{
+          text: `Generate a detailed video shot list for this UGC segment:\n\n${prompt}\n\nProvide frame-by-frame descriptions for an 8-second video.`
+        }]
+      }]
+    });
+
+    const response = await result.response;
+
+    return {
+      success: true,
+      segmentNumber: segment.segment_info?.segment_number,
+      videoDescription: response.text(),
+      prompt,
+      duration: '8 seconds',
+      status: 'description_generated',
+      message: 'Video description generated. Render the clip with /api/generate-videos-veo3.'
+    };
+  }
+
+  createVideoPrompt(segment) {
+    const isEnhanced = segment.segment_info?.continuity_markers ? true : false;
+
+    let prompt = '';
+
+    if (isEnhanced) {
+      // Enhanced format with continuity markers
+      prompt = `
+UGC Video Segment ${segment.segment_info.segment_number} of ${segment.segment_info.total_segments}
+Duration: ${segment.segment_info.duration}
+
+CONTINUITY REQUIREMENTS:
+- Start: ${segment.segment_info.continuity_markers.start_position}
+- End: ${segment.segment_info.continuity_markers.end_position}
+- Start Expression: ${segment.segment_info.continuity_markers.start_expression}
+- End Expression: ${segment.segment_info.continuity_markers.end_expression}
+
+CHARACTER:
+${segment.character_description.current_state}
+
+DIALOGUE: "${segment.action_timeline.dialogue}"
+
+SYNCHRONIZED ACTIONS:
+${Object.entries(segment.action_timeline.synchronized_actions || {})
+  .map(([time, action]) => `${time}: ${action}`)
+  .join('\n')}
+
+SCENE:
+- Camera: ${segment.scene_continuity.camera_position}
+- Environment: ${segment.scene_continuity.props_in_frame}
+
+MICRO-EXPRESSIONS:
+${segment.action_timeline.micro_expressions || 'Natural facial movements'}
+
+Style: Authentic UGC content, handheld camera feel, natural lighting`;
+    } else {
+      // Standard format
+      prompt = `
+UGC Video Segment ${segment.segment_info?.segment_number || 1}
+
+CHARACTER STATE:
+${segment.character_description?.current_state || 'Natural, relaxed presenter'}
+
+DIALOGUE: "${segment.action_timeline?.dialogue || ''}"
+
+ACTIONS:
+${segment.action_timeline?.synchronized_actions || 'Natural gestures while speaking'}
+
+CAMERA:
+${segment.scene_continuity?.camera_position || 'Medium shot, eye level'}
+
+Style: Authentic UGC content, casual and relatable`;
+    }
+
+    return prompt.trim();
+  }
+
+  async describeSegments(segments) {
+    console.log(`[VideoDescription] Describing ${segments.length} segments`);
+
+    const videos = await Promise.all(segments.map(segment => this.describeSegment(segment)));
+    return {
+      success: true,
+      videos,
+      totalSegments: segments.length
+    };
+  }
+}
+
+export default new VideoDescriptionService();
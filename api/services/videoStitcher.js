@@ -0,0 +1,125 @@
+import { runFfmpeg, probeMedia } from './ffmpeg.js';
+import { ServiceError } from './errors.js';
+
+// Veo renders 24 fps clips; normalizing keeps xfade inputs compatible
+const OUTPUT_FPS = 24;
+const DEFAULT_OVERLAP_SECONDS = 0.5;
+const MAX_OVERLAP_SECONDS = 2;
+
+function seconds(value) {
+  return Number(value).toFixed(3);
+}
+
+// The fields of a segment that tell us how it hands over to the next one
+export function getContinuityHints(segment = {}) {
+  const markers = segment.segment_info?.continuity_markers || {};
+  return {
+    location: segment.segment_info?.location || null,
+    startPosition: markers.start_position || null,
+    endPosition: markers.end_position || null,
+    transitionPrep: segment.action_timeline?.transition_prep || segment.scene_continuity?.transitions || null
+  };
+}
+
+// One boundary per pair of clips. Segments that planned their hand-over
+// (end_position / transition_prep) crossfade; location changes and segments
+// without markers hard-cut. `options.boundaries[i]` overrides boundary i.
+export function planBoundaries(hints, options = {}) {
+  const overlapSeconds = Math.min(MAX_OVERLAP_SECONDS, Math.max(0, Number(options.overlapSeconds ?? DEFAULT_OVERLAP_SECONDS)));
+  const overrides = options.boundaries || [];
+
+  return hints.slice(0, -1).map((current, i) => {
+    const next = hints[i + 1] || {};
+    const override = overrides[i] || {};
+    const changesLocation = !!(current.location && next.location && current.location !== next.location);
+    const planned = !!(current.endPosition || current.transitionPrep);
+
+    let reason = 'continuity_markers';
+    if (changesLocation) reason = 'location_change';
+    else if (!planned) reason = 'no_continuity_markers';
+
+    const overlap = override.overlap !== undefined
+      ? Math.min(MAX_OVERLAP_SECONDS, Math.max(0, Number(override.overlap) || 0))
+      : (reason === 'continuity_markers' ? overlapSeconds : 0);
+
+    return {
+      fromSegment: i + 1,
+      toSegment: i + 2,
+      transition: overlap > 0 ? 'crossfade' : 'cut',
+      overlap,
+      trimEnd: Math.max(0, Number(override.trimEnd) || 0),
+      trimStart: Math.max(0, Number(override.trimStart) || 0),
+      reason: override.overlap !== undefined ? 'override' : reason
+    };
+  });
+}
+
+export function buildFilterGraph(clips, boundaries, withAudio) {
+  const filters = [];
+  const lengths = clips.map((clip, i) => {
+    const start = boundaries[i - 1]?.trimStart || 0;
+    const end = clip.duration - (boundaries[i]?.trimEnd || 0);
+    if (end - start <= 0) {
+      throw new ServiceError(`Trim leaves nothing of segment ${i + 1}`, 400, 'invalid_trim');
+    }
+
+    filters.push(`[${i}:v]trim=start=${seconds(start)}:end=${seconds(end)},setpts=PTS-STARTPTS,fps=${OUTPUT_FPS},format=yuv420p,settb=AVTB[v${i}]`);
+    if (withAudio) {
+      filters.push(`[${i}:a]atrim=start=${seconds(start)}:end=${seconds(end)},asetpts=PTS-STARTPTS[a${i}]`);
+    }
+    return end - start;
+  });
+
+  let videoLabel = 'v0';
+  let audioLabel = 'a0';
+  let duration = lengths[0];
+
+  for (let i = 1; i < clips.length; i++) {
+    const boundary = boundaries[i - 1];
+    const nextVideo = `vx${i}`;
+    const nextAudio = `ax${i}`;
+    // Never let a crossfade swallow more than half of either side
+    const overlap = Math.min(boundary.overlap, duration / 2, lengths[i] / 2);
+
+    if (overlap > 0) {
+      filters.push(`[${videoLabel}][v${i}]xfade=transition=fade:duration=${seconds(overlap)}:offset=${seconds(duration - overlap)}[${nextVideo}]`);
+      if (withAudio) {
+        filters.push(`[${audioLabel}][a${i}]acrossfade=d=${seconds(overlap)}[${nextAudio}]`);
+      }
+      duration += lengths[i] - overlap;
+    } else {
+      filters.push(`[${videoLabel}][v${i}]concat=n=2:v=1:a=0[${nextVideo}]`);
+      if (withAudio) {
+        filters.push(`[${audioLabel}][a${i}]concat=n=2:v=0:a=1[${nextAudio}]`);
+      }
+      duration += lengths[i];
+    }
+
+    videoLabel = nextVideo;
+    audioLabel = nextAudio;
+  }
+
+  return { filter: filters.join(';'), videoLabel, audioLabel, duration };
+}
+
+// Concatenate local clips (already in segment order) into one MP4
+export async function stitchClips(clipPaths, boundaries, outputPath) {
+  const clips = await Promise.all(clipPaths.map(clipPath => probeMedia(clipPath)));
+  // Mixing clips with and without audio would break the audio chain; drop audio then
+  const withAudio = clips.every(clip => clip.hasAudio);
+  const graph = buildFilterGraph(clips, boundaries, withAudio);
+
+  const args = ['-v', 'error', '-y'];
+  clipPaths.forEach(clipPath => args.push('-i', clipPath));
+  args.push('-filter_complex', graph.filter, '-map', `[${graph.videoLabel}]`);
+  if (withAudio) {
+    args.push('-map', `[${graph.audioLabel}]`, '-c:a', 'aac', '-b:a', '192k');
+  } else {
+    args.push('-an');
+  }
+  args.push('-c:v', 'libx264', '-preset', 'veryfast', '-crf', '18', '-pix_fmt', 'yuv420p', '-movflags', '+faststart', outputPath);
+
+  await runFfmpeg(args);
+
+  return { duration: graph.duration, hasAudio: withAudio };
+}
@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { ServiceError } from './errors.js';
+
+// Delay before each redelivery after a failed attempt
+const RETRY_SCHEDULE_MS = [5000, 30000, 120000, 600000];
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || RETRY_SCHEDULE_MS.length + 1;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Loopback, link-local (cloud metadata), private and other non-public ranges.
+// Webhooks may not target them unless the host is in WEBHOOK_ALLOWED_HOSTS
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function allowedHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) match the IPv4 ranges
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Rejects callback hosts that resolve to a non-public address. With
+// WEBHOOK_ALLOWED_HOSTS set, only those hosts are accepted (and they may be private)
+async function checkCallbackHost(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const allowed = allowedHosts();
+  if (allowed.length > 0) {
+    if (!allowed.includes(hostname)) {
+      throw new ServiceError(`callbackUrl host ${hostname} is not in WEBHOOK_ALLOWED_HOSTS`, 400, 'invalid_callback');
+    }
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch {
+    throw new ServiceError(`callbackUrl host ${hostname} does not resolve`, 400, 'invalid_callback');
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new ServiceError(`callbackUrl host ${hostname} resolves to a private, loopback or link-local address`, 400, 'invalid_callback');
+  }
+}
+
+// Validate callback options from a request; the secret falls back to WEBHOOK_SECRET
+export async function parseCallback(callbackUrl, callbackSecret) {
+  if (!callbackUrl) return null;
+
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch {
+    throw new ServiceError('callbackUrl must be an absolute URL', 400, 'invalid_callback');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ServiceError('callbackUrl must use http or https', 400, 'invalid_callback');
+  }
+  await checkCallbackHost(url);
+
+  return {
+    url: url.toString(),
+    secret: callbackSecret || process.env.WEBHOOK_SECRET || null
+  };
+}
+
+// Receivers verify: HMAC-SHA256(secret, `${timestamp}.${body}`) === signature
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function post(callback, body, deliveryId) {
+  // The host is checked again on every delivery, as its DNS may have changed since
+  await checkCallbackHost(new URL(callback.url));
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'VeoForge-Webhook/1.0',
+    // Same id on every retry so receivers can drop duplicates
+    'X-VeoForge-Delivery': deliveryId,
+    'X-VeoForge-Timestamp': timestamp
+  };
+  if (callback.secret) {
+    headers['X-VeoForge-Signature'] = `sha256=${signPayload(callback.secret, timestamp, body)}`;
+  }
+
+  const response = await fetch(callback.url, {
+    method: 'POST',
+    headers,
+    body,
+    // A redirect could point anywhere, including the addresses checked above
+    redirect: 'manual',
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook receiver responded ${response.status}`);
+  }
+}
+
+// Deliver in the background, retrying on network errors and non-2xx responses
+export function deliverWebhook(callback, payload) {
+  const body = JSON.stringify(payload);
+  const deliveryId = crypto.randomUUID();
+
+  const attempt = (number) => {
+    post(callback, body, deliveryId)
+      .then(() => {
+        console.log(`[Webhook] Delivered ${payload.event} ${deliveryId} to ${callback.url} (attempt ${number})`);
+      })
+      .catch((error) => {
+        if (number >= MAX_ATTEMPTS) {
+          console.error(`[Webhook] Giving up on ${payload.event} ${deliveryId} after ${number} attempts:`, error.message);
+          return;
+        }
+        const delay = RETRY_SCHEDULE_MS[Math.min(number - 1, RETRY_SCHEDULE_MS.length - 1)];
+        console.warn(`[Webhook] Delivery of ${payload.event} ${deliveryId} failed (${error.message}), retrying in ${delay / 1000}s`);
+        setTimeout(() => attempt(number + 1), delay).unref?.();
+      });
+  };
+
+  attempt(1);
+  return deliveryId;
+}
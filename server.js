@@ -0,0 +1,24 @@
+// Standalone server for VeoForge: `node server.js`
+// Serves the same Express app as the Vercel function plus the built UI
+
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createApp } from './api/app.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const buildDir = path.join(__dirname, 'build');
+
+const app = createApp();
+
+app.use(express.static(buildDir));
+app.get('*', (req, res) => {
+  res.sendFile(path.join(buildDir, 'index.html'));
+});
+
+const port = process.env.PORT || 3001;
+
+app.listen(port, () => {
+  console.log(`[Server] VeoForge listening on port ${port}`);
+});
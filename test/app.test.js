@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.JOB_STORE = 'memory';
+process.env.RATE_LIMIT_MAX_REQUESTS = '3';
+delete process.env.RATE_LIMIT_READ_MAX_REQUESTS;
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const { createApp } = await import('../api/app.js');
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('polling is not held to the generation limit', async () => {
+  for (let i = 0; i < 10; i++) {
+    const response = await fetch(`${baseUrl}/api/batches/batch_missing`);
+    assert.equal(response.status, 404);
+  }
+});
+
+test('requests that spend quota are limited', async () => {
+  const statuses = [];
+  for (let i = 0; i < 4; i++) {
+    const response = await fetch(`${baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ script: 'too short' })
+    });
+    statuses.push(response.status);
+  }
+  assert.deepEqual(statuses, [400, 400, 400, 429]);
+});
+
+test('a non-string script is a bad request, not a server error', async () => {
+  const response = await fetch(`${baseUrl}/api/estimate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ script: { text: 'not a string' } })
+  });
+  assert.equal(response.status, 400);
+});
+
+test('prompt previews reject segments that are not objects', async () => {
+  const response = await fetch(`${baseUrl}/api/preview-prompt`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ segments: [{ segment_info: {} }, null] })
+  });
+  assert.equal(response.status, 400);
+});
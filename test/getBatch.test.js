@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.JOB_STORE = 'memory';
+process.env.VIDEO_PROVIDER = 'mock';
+const { default: veo3Service } = await import('../api/services/veo3Service.js');
+
+test('reading a batch without persisting merges job statuses but writes nothing', async () => {
+  const batch = await veo3Service.createBatch([{}, {}], { quality: 'standard', language: 'en' });
+  await veo3Service.jobStore.create({ id: 'mock/operations/1', status: 'completed', progress: 100, segmentIndex: 1, batchId: batch.id });
+  await veo3Service.batchStore.update(batch.id, {
+    items: batch.items.map((item, i) => (i === 0 ? { ...item, videoId: 'mock/operations/1', status: 'processing' } : item))
+  });
+
+  const writes = [];
+  const update = veo3Service.batchStore.update;
+  veo3Service.batchStore.update = (...args) => {
+    writes.push(args[0]);
+    return update.apply(veo3Service.batchStore, args);
+  };
+  try {
+    const summary = await veo3Service.getBatch(batch.id, { refresh: false, persist: false });
+    assert.equal(summary.items[0].status, 'completed');
+    assert.equal(summary.counts.completed, 1);
+    assert.deepEqual(writes, []);
+
+    await veo3Service.getBatch(batch.id, { refresh: false });
+    assert.deepEqual(writes, [batch.id]);
+  } finally {
+    veo3Service.batchStore.update = update;
+  }
+});
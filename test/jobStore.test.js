@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileJobStore, createJobStore } from '../api/services/jobStore.js';
+
+async function tempStore() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobstore-test-'));
+  return { store: new FileJobStore(dir), dir };
+}
+
+test('concurrent updates to one job keep every field', async () => {
+  const { store, dir } = await tempStore();
+  try {
+    await store.create({ id: 'models/veo/operations/1', status: 'pending' });
+    await Promise.all(Array.from({ length: 20 }, (_, i) => store.update('models/veo/operations/1', { [`field${i}`]: i })));
+
+    const job = await store.get('models/veo/operations/1');
+    for (let i = 0; i < 20; i++) assert.equal(job[`field${i}`], i);
+    assert.deepEqual((await fs.readdir(dir)).filter(name => name.endsWith('.tmp')), []);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('updating a missing job returns null', async () => {
+  const { store, dir } = await tempStore();
+  try {
+    assert.equal(await store.update('missing', { status: 'done' }), null);
+    assert.equal(await store.delete('missing'), false);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('the file store refuses to start on Vercel without a shared JOB_STORE_PATH', () => {
+  const saved = { VERCEL: process.env.VERCEL, JOB_STORE_PATH: process.env.JOB_STORE_PATH };
+  process.env.VERCEL = '1';
+  delete process.env.JOB_STORE_PATH;
+  try {
+    assert.throws(() => createJobStore('jobs', 'file'), /JOB_STORE_PATH/);
+    assert.ok(createJobStore('jobs', 'memory'));
+    process.env.JOB_STORE_PATH = os.tmpdir();
+    assert.ok(createJobStore('jobs', 'file') instanceof FileJobStore);
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+});
@@ -0,0 +1,24 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// No ffmpeg, so every clip falls back to the pre-rendered card
+process.env.FFMPEG_PATH = path.join(os.tmpdir(), 'no-such-ffmpeg');
+process.env.JOB_STORE_PATH = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-provider-test-'));
+const { MockVideoProvider } = await import('../api/services/providers/mockVideoProvider.js');
+
+after(() => fs.rm(process.env.JOB_STORE_PATH, { recursive: true, force: true }));
+
+test('the placeholder card is flagged instead of passed off as a render', async () => {
+  const provider = new MockVideoProvider({ latencyMs: 0, failureRate: 0, quotaErrorRate: 0, failSegments: [] });
+  const { operationName } = await provider.submit({ prompt: 'A kitchen', segmentIndex: 2, parameters: { sampleCount: 2 } });
+  const result = await provider.poll(operationName);
+
+  assert.equal(result.done, true);
+  assert.equal(result.error, null);
+  assert.equal(result.videos.length, 2);
+  assert.ok(result.videos.every(video => video.placeholder && video.uri.endsWith('/fixtures/mock-card.mp4')));
+  assert.match(result.warning, /placeholder/);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignSegments, requestContinuityPlan, resolveGenerationMode, runConcurrently } from '../api/services/parallelGeneration.js';
+
+const segment = (number, { start, end, physical = 'Woman in her 30s', transitionPrep = '' } = {}) => ({
+  segment_info: { segment_number: number, total_segments: 9, continuity_markers: { start_position: start, end_position: end } },
+  character_description: { physical, clothing: 'Blue sweater' },
+  action_timeline: { dialogue: 'Hi', transition_prep: transitionPrep }
+});
+
+const fakeOpenAI = reply => ({
+  chat: { completions: { create: async () => {
+    if (reply instanceof Error) throw reply;
+    return { choices: [{ message: { content: JSON.stringify(reply) } }] };
+  } } }
+});
+
+const plan = [{ end_position: 'Holding the jar up' }, { end_position: 'Leaning in' }, { end_position: 'Waving' }];
+
+test('segments are renumbered and take the base descriptions word for word', () => {
+  const { segments, adjustments } = alignSegments(
+    [segment(7, { start: 'A', end: 'B', physical: 'A woman, 30s' }), segment(7, { start: 'B', end: 'C' })],
+    { plan, baseDescriptions: { physical: 'Woman in her 30s', clothing: 'Blue sweater' }, locations: ['Kitchen', 'Kitchen'] }
+  );
+
+  assert.deepEqual(segments.map(s => [s.segment_info.segment_number, s.segment_info.total_segments]), [[1, 2], [2, 2]]);
+  assert.equal(segments[0].character_description.physical, 'Woman in her 30s');
+  assert.deepEqual(segments.map(s => s.action_timeline.transition_prep), ['Holding the jar up', 'Leaning in']);
+  assert.ok(adjustments.some(entry => entry.segmentNumber === 1 && entry.field === 'character_description.physical'));
+});
+
+test('within one location a segment starts where the previous one ended', () => {
+  const input = [segment(1, { start: 'A', end: 'Seated' }), segment(2, { start: 'Standing', end: 'C' }), segment(3, { start: 'Outside', end: 'D' })];
+  const { segments, adjustments } = alignSegments(input, { plan, locations: ['Kitchen', 'Kitchen', 'Garden'] });
+
+  assert.equal(segments[1].segment_info.continuity_markers.start_position, 'Seated');
+  assert.equal(segments[2].segment_info.continuity_markers.start_position, 'Outside');
+  assert.deepEqual(adjustments.filter(entry => entry.field.endsWith('start_position')), [{ segmentNumber: 2, field: 'segment_info.continuity_markers.start_position' }]);
+  assert.equal(input[1].segment_info.continuity_markers.start_position, 'Standing');
+});
+
+test('the continuity plan chains positions within a location', async () => {
+  const result = await requestContinuityPlan(fakeOpenAI({ segments: [
+    { start_position: 'Seated', end_position: 'Standing', start_expression: 'Calm', end_expression: 'Excited' },
+    { start_position: 'Somewhere else', end_position: 'Leaning in', start_expression: 'Bored', end_expression: 'Smiling' }
+  ] }), { scriptSegments: [{ text: 'One' }, { text: 'Two' }, { text: 'Three' }], locations: ['Kitchen', 'Kitchen', 'Garden'] });
+
+  assert.equal(result.length, 3);
+  assert.equal(result[1].start_position, 'Standing');
+  assert.equal(result[1].start_expression, 'Excited');
+  assert.ok(result[2].start_position);
+  assert.equal(result[2].location, 'Garden');
+});
+
+test('a failed plan request falls back to a neutral plan', async () => {
+  const result = await requestContinuityPlan(fakeOpenAI(new Error('timeout')), { scriptSegments: [{ text: 'One' }, { text: 'Two' }], locations: [null, null] });
+  assert.equal(result.length, 2);
+  assert.equal(result[1].start_position, result[0].end_position);
+});
+
+test('tasks run concurrently and resolve in index order', async () => {
+  const results = await runConcurrently(5, async i => {
+    await new Promise(resolve => setTimeout(resolve, (5 - i) * 5));
+    return i;
+  });
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+});
+
+test('generation modes are validated', () => {
+  assert.equal(resolveGenerationMode('parallel'), 'parallel');
+  assert.throws(() => resolveGenerationMode('turbo'), { status: 400, code: 'invalid_generation_mode' });
+});
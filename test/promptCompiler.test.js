@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileVeoPrompt, estimateTokens, resolvePromptOptions } from '../api/services/promptCompiler.js';
+
+const segment = () => ({
+  segment_info: { segment_number: 2, total_segments: 3, duration: '00:08-00:16' },
+  character_description: { physical: 'Woman in her 30s with shoulder-length brown hair', clothing: 'Blue sweater', current_state: 'Smiling' },
+  scene_continuity: { environment: 'Bright kitchen with white cabinets', camera_position: 'Eye level, medium close-up', props_in_frame: 'Jar of cream' },
+  action_timeline: { dialogue: 'I love this cream!!!', synchronized_actions: { '0-4s': 'Holds the jar', '4-8s': 'Applies it' } }
+});
+
+test('every field lands in its section with the dialogue intact', () => {
+  const { prompt, format, missing, truncated } = compileVeoPrompt(segment(), { language: 'en' });
+
+  assert.equal(format, 'standard');
+  assert.deepEqual(missing, []);
+  assert.deepEqual(truncated, []);
+  assert.match(prompt, /^Create an 8-second realistic UGC-style video \(segment 2 of 3\)\./);
+  for (const section of ['SUBJECT:', 'SETTING:', 'ACTION TIMELINE:', 'CAMERA:', 'AUDIO AND DIALOGUE:']) {
+    assert.ok(prompt.includes(section), section);
+  }
+  assert.ok(prompt.includes('The person says: "I love this cream!"'));
+  assert.ok(prompt.includes('- 4-8s: Applies it'));
+});
+
+test('Spanish runs carry the language instruction', () => {
+  assert.match(compileVeoPrompt(segment(), { language: 'es' }).prompt, /entirely in Spanish/);
+  assert.doesNotMatch(compileVeoPrompt(segment(), { language: 'en' }).prompt, /entirely in Spanish/);
+});
+
+test('over budget, fields are shortened in truncation order and dialogue is kept', () => {
+  const long = segment();
+  long.character_description.behavioral_consistency = 'Tucks her hair behind her ear before every sentence. '.repeat(40);
+  long.scene_continuity.environment = 'Sunlit kitchen with plants on the windowsill. '.repeat(40);
+
+  const { prompt, tokens, truncated, overBudget } = compileVeoPrompt(long, { language: 'en', tokenBudget: 200 });
+  assert.equal(truncated[0].field, 'behavioral_consistency');
+  assert.ok(truncated.some(entry => entry.field === 'environment'));
+  assert.ok(tokens.estimated <= 200);
+  assert.equal(overBudget, false);
+  assert.ok(prompt.includes('The person says: "I love this cream!"'));
+  assert.equal(tokens.estimated, estimateTokens(prompt));
+});
+
+test('missing template fields are reported', () => {
+  const partial = segment();
+  delete partial.character_description.clothing;
+  assert.deepEqual(compileVeoPrompt(partial).missing, ['clothing']);
+});
+
+test('prompt options are validated', () => {
+  assert.deepEqual(resolvePromptOptions({ tokenBudget: 500, truncationOrder: ['clothing'] }).truncationOrder[0], 'clothing');
+  assert.throws(() => resolvePromptOptions({ tokenBudget: 10 }), { status: 400, code: 'invalid_prompt_options' });
+  assert.throws(() => resolvePromptOptions({ truncationOrder: ['dialogue'] }), /protected/);
+  assert.throws(() => resolvePromptOptions(null), /must be an object/);
+});
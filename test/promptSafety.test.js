@@ -0,0 +1,63 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadSafetyConfig, reviewPrompt } from '../api/services/promptSafety.js';
+
+const rules = prompt => reviewPrompt(prompt).warnings.map(warning => warning.rule);
+
+afterEach(() => {
+  delete process.env.PROMPT_SAFETY_CONFIG;
+});
+
+test('brands, minors, real people, medical claims and unsafe actions are flagged', () => {
+  assert.deepEqual(rules('She opens a Starbucks cup'), ['brand-names']);
+  assert.deepEqual(rules('A 12-year-old holds the jar'), ['minor-age']);
+  assert.deepEqual(rules('A Taylor Swift look-alike smiles'), ['real-person-terms', 'real-people']);
+  assert.deepEqual(rules('This cream cures acne, clinically proven'), ['medical-claims']);
+  assert.deepEqual(rules('He applies it while driving'), ['unsafe-actions']);
+});
+
+test('ordinary wording is not flagged', () => {
+  assert.deepEqual(rules('I bake an apple pie for my children'), []);
+  assert.deepEqual(rules('Lo uso desde hace 5 años y mi piel de bebé lo agradece'), []);
+  assert.deepEqual(rules('A woman in her 30s smiles at the camera'), []);
+});
+
+test('warnings only block when the category is configured to', () => {
+  const review = reviewPrompt('A child holds the jar');
+  assert.equal(review.blocked, false);
+  assert.equal(review.warnings[0].severity, 'warning');
+  assert.equal(review.prompt, review.originalPrompt);
+});
+
+test('configured rewrites are applied and reported, and severities respected', () => {
+  const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'safety-test-')), 'safety.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    severity: { minor: 'block', brand: 'off' },
+    allowedBrands: ['Nike'],
+    rewrites: [{ id: 'no-knife', pattern: 'knife', replacement: 'spatula', reason: 'Props only' }]
+  }));
+  process.env.PROMPT_SAFETY_CONFIG = configPath;
+  try {
+    const review = reviewPrompt('A teenager slices bread with a knife near a Pepsi can', loadSafetyConfig());
+    assert.equal(review.prompt, 'A teenager slices bread with a spatula near a Pepsi can');
+    assert.deepEqual(review.rewrites, [{ rule: 'no-knife', from: 'knife', to: 'spatula', reason: 'Props only' }]);
+    assert.deepEqual(review.warnings.map(warning => warning.rule), ['minor-terms']);
+    assert.equal(review.blocked, true);
+  } finally {
+    fs.rmSync(path.dirname(configPath), { recursive: true, force: true });
+  }
+});
+
+test('an invalid config is reported', () => {
+  const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'safety-test-')), 'safety.json');
+  fs.writeFileSync(configPath, JSON.stringify({ severity: { minor: 'loud' } }));
+  process.env.PROMPT_SAFETY_CONFIG = configPath;
+  try {
+    assert.throws(() => loadSafetyConfig(), { code: 'invalid_safety_config' });
+  } finally {
+    fs.rmSync(path.dirname(configPath), { recursive: true, force: true });
+  }
+});
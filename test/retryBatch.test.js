@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.JOB_STORE = 'memory';
+process.env.VIDEO_PROVIDER = 'mock';
+const { default: veo3Service } = await import('../api/services/veo3Service.js');
+
+const segment = n => ({ segment_info: { segment_number: n, total_segments: 3 } });
+
+test('retrying a sequential batch submits only the first failed segment', async () => {
+  const batch = await veo3Service.createBatch([segment(1), segment(2), segment(3)], { sequential: true, quality: 'standard', language: 'en' });
+  const failed = { videoId: null, status: 'error', error: 'Mock provider failure (injected)', queue: null };
+  await veo3Service.batchStore.update(batch.id, { items: batch.items.map(item => ({ ...item, ...failed })) });
+
+  const submitted = [];
+  veo3Service.queueSubmission = async (_, { index }) => {
+    submitted.push(index + 1);
+    return { video: { segmentIndex: index + 1, status: 'pending' } };
+  };
+  try {
+    const retried = await veo3Service.retryBatch(batch.id);
+
+    assert.deepEqual(submitted, [1]);
+    assert.equal(retried.items[0].status, 'pending');
+    assert.deepEqual(retried.items.slice(1).map(item => [item.status, item.queue.reason, item.queue.waitingFor, item.error]), [
+      ['queued', 'previous_segment', 1, null],
+      ['queued', 'previous_segment', 2, null]
+    ]);
+  } finally {
+    delete veo3Service.queueSubmission;
+  }
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateScript } from '../api/services/scriptEstimator.js';
+import { REPAIR_ATTEMPTS } from '../api/services/segmentValidator.js';
+
+const script = 'I used to hate my skin every single morning. Then I found this cream. ' +
+  'Two weeks later my friends keep asking what changed. Honestly, it was this jar.';
+
+test('a script is split and priced like the generators would run it', () => {
+  const estimate = estimateScript({ script }, { videoParameters: { durationSeconds: 8, sampleCount: 2 } });
+
+  assert.ok(estimate.segments.length >= 1);
+  assert.equal(estimate.segments.map(segment => segment.text).join(' ').split(/\s+/).length, script.split(/\s+/).length);
+  assert.equal(estimate.veo.clips, estimate.segments.length * 2);
+  assert.equal(estimate.veo.seconds, estimate.segments.length * 16);
+  assert.equal(estimate.openaiCalls.max, estimate.openaiCalls.min + estimate.segments.length * REPAIR_ATTEMPTS);
+});
+
+test('ai-inspired plus runs add the inference calls', () => {
+  const plain = estimateScript({ script }, { endpoint: 'generate-plus' });
+  const inspired = estimateScript({ script, settingMode: 'ai-inspired', cameraStyle: 'ai-inspired' }, { endpoint: 'generate-plus' });
+  assert.equal(inspired.openaiCalls.min, plain.openaiCalls.min + 2);
+});
+
+test('unknown endpoints are rejected', () => {
+  assert.throws(() => estimateScript({ script }, { endpoint: 'generate-everything' }), { status: 400, code: 'invalid_endpoint' });
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SPLIT_LIMITS,
+  estimateSpeechSeconds,
+  parseScriptMarkup,
+  planMarkedScript,
+  planScriptSegments,
+  resolveSegmentLocations,
+  splitSentences
+} from '../api/services/scriptSplitter.js';
+
+test('splitSentences ends a sentence after "no"', () => {
+  assert.deepEqual(splitSentences('Just say no. Try it today.'), ['Just say no.', 'Try it today.']);
+  assert.deepEqual(splitSentences('Dije que no. Pero luego lo probé.', 'es'), ['Dije que no.', 'Pero luego lo probé.']);
+});
+
+test('splitSentences keeps abbreviations, numbering and decimals inside a sentence', () => {
+  assert.deepEqual(splitSentences('Dr. Smith loves it. It costs 4.99 today.'), ['Dr. Smith loves it.', 'It costs 4.99 today.']);
+  assert.deepEqual(splitSentences('Try No. 5 now. You will love it.'), ['Try No. 5 now.', 'You will love it.']);
+  assert.deepEqual(splitSentences('Por ej. esta crema. ¡Me encanta!', 'es'), ['Por ej. esta crema.', '¡Me encanta!']);
+});
+
+test('splitSentences keeps text after the last punctuation mark', () => {
+  assert.deepEqual(splitSentences('First line. and lowercase goes on. Last bit'), ['First line. and lowercase goes on.', 'Last bit']);
+});
+
+test('no segment is longer than the clip allows', () => {
+  const words = 'this cream is great and really soft on my skin every single morning I use it before work'.split(' ');
+  for (let k = 0; k < 120; k++) {
+    const script = Array.from({ length: 2 + k % 7 }, (_, j) =>
+      Array.from({ length: 3 + ((k * 7 + j * 13) % 17) }, (_, w) => words[(k + j + w) % words.length]).join(' ') + '.'
+    ).join(' ');
+    for (const language of ['en', 'es']) {
+      for (const segment of planScriptSegments(script, { language })) {
+        assert.ok(estimateSpeechSeconds(segment.text, { language }) <= SPLIT_LIMITS.maxSeconds, `${segment.text} (${segment.seconds}s)`);
+      }
+    }
+  }
+  assert.ok(SPLIT_LIMITS.maxSeconds <= SPLIT_LIMITS.clipSeconds);
+});
+
+test('planScriptSegments keeps every word', () => {
+  const script = 'I was skeptical at first. But after one week my skin felt softer than ever, and my friends noticed. Honestly, try it';
+  const segments = planScriptSegments(script);
+  assert.equal(segments.map(segment => segment.text).join(' '), script);
+});
+
+test('parseScriptMarkup reads cuts and directives', () => {
+  const parts = parseScriptMarkup('[location: kitchen] Hello there. [laughs]\n---\n[energy: 90] Bye now.');
+  assert.deepEqual(parts, [
+    { text: 'Hello there. [laughs]', settings: { location: 'kitchen' } },
+    { text: 'Bye now.', settings: { energyOverride: 90 } }
+  ]);
+  assert.throws(() => parseScriptMarkup('[mood: happy] Hi.'), { code: 'invalid_script_markup' });
+  assert.throws(() => parseScriptMarkup('[energy: 120] Hi.'), { code: 'invalid_script_markup' });
+});
+
+test('script locations win over the request settings', () => {
+  const segments = planMarkedScript('Hello there.\n---\n[location: garden] Bye now.');
+  assert.deepEqual(resolveSegmentLocations(segments, { settingMode: 'single', room: 'kitchen' }), ['kitchen', 'garden']);
+  assert.deepEqual(resolveSegmentLocations(segments, { settingMode: 'multiple', locations: ['bedroom'] }), ['bedroom', 'garden']);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignNeighbours, checkRegenerationRequest, describeRegeneration, regenerationRequest } from '../api/services/segmentRegeneration.js';
+
+const segment = (number, { location = 'Kitchen', start, end, transitionPrep = 'Ready' } = {}) => ({
+  segment_info: { segment_number: number, total_segments: 3, location, continuity_markers: { start_position: start, end_position: end } },
+  character_description: { physical: 'Woman in her 30s', clothing: 'Blue sweater' },
+  action_timeline: { dialogue: `Line ${number}`, transition_prep: transitionPrep }
+});
+
+const run = () => [
+  segment(1, { start: 'Seated', end: 'Standing' }),
+  segment(2, { start: 'Standing', end: 'Leaning in' }),
+  segment(3, { start: 'Leaning in', end: 'Waving' })
+];
+const baseDescriptions = { physical: 'Woman in her 30s', clothing: 'Blue sweater' };
+
+test('the regenerated segment starts where the previous one ended and hands over to the next', () => {
+  const segments = run();
+  const regenerated = segment(9, { start: 'Sitting down', end: 'Holding the jar' });
+  regenerated.segment_info.total_segments = 9;
+  regenerated.character_description.clothing = 'Red sweater';
+
+  const result = alignNeighbours(segments, 1, regenerated, { baseDescriptions, locations: ['Kitchen', 'Kitchen', 'Kitchen'] });
+
+  const [, middle, next] = result.segments;
+  assert.equal(middle.segment_info.segment_number, 2);
+  assert.equal(middle.segment_info.total_segments, 3);
+  assert.equal(middle.character_description.clothing, 'Blue sweater');
+  assert.equal(middle.segment_info.continuity_markers.start_position, 'Standing');
+  assert.equal(next.segment_info.continuity_markers.start_position, 'Holding the jar');
+  assert.deepEqual(result.adjustments.filter(entry => entry.segmentNumber === 3), [{ segmentNumber: 3, field: 'segment_info.continuity_markers.start_position' }]);
+
+  // The caller's segments are left untouched
+  assert.equal(segments[2].segment_info.continuity_markers.start_position, 'Leaning in');
+  assert.equal(result.segments[0], segments[0]);
+});
+
+test('neighbours in another location keep their own start', () => {
+  const regenerated = segment(2, { start: 'Walking in', end: 'Holding the jar' });
+  const result = alignNeighbours(run(), 1, regenerated, { locations: ['Kitchen', 'Garden', 'Bathroom'] });
+
+  assert.equal(result.segments[1].segment_info.continuity_markers.start_position, 'Walking in');
+  assert.equal(result.segments[2].segment_info.continuity_markers.start_position, 'Leaning in');
+  assert.deepEqual(result.adjustments, []);
+});
+
+test('the generator request reuses only the original request fields', () => {
+  const { request } = regenerationRequest({
+    baseDescriptions,
+    segments: run(),
+    params: { product: 'Face cream', segmentNumber: 99, baseDescriptions: 'spoofed', settingMode: 'single', room: 'Kitchen' },
+    index: 1,
+    notes: ' Smile more '
+  });
+
+  assert.equal(request.product, 'Face cream');
+  assert.equal(request.segmentNumber, 2);
+  assert.equal(request.totalSegments, 3);
+  assert.equal(request.baseDescriptions, baseDescriptions);
+  assert.equal(request.scriptPart, 'Line 2');
+  assert.equal(request.nextStartPosition, 'Leaning in');
+  assert.equal(request.revisionNotes, 'Smile more');
+  assert.match(describeRegeneration(request), /starts with: Leaning in[\s\S]*Smile more/);
+});
+
+test('malformed requests are rejected with 400', () => {
+  const valid = { baseDescriptions, segments: run(), index: 0 };
+  assert.doesNotThrow(() => checkRegenerationRequest(valid));
+  for (const patch of [
+    { params: 'script' },
+    { params: { script: 42 } },
+    { baseDescriptions: null },
+    { segments: [segment(1), null] },
+    { index: 3 },
+    { dialogue: '  ' },
+    { notes: 5 }
+  ]) {
+    assert.throws(() => checkRegenerationRequest({ ...valid, ...patch }), { status: 400, code: 'invalid_regeneration_request' }, JSON.stringify(patch));
+  }
+});
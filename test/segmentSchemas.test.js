@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { SEGMENT_FORMATS } from '../api/services/segmentSchemas.js';
+import { validateSegment } from '../api/services/segmentValidator.js';
+
+// The template each format is generated from (see loadTemplate in both services)
+const TEMPLATES = {
+  'veo3-json-guidelines.md': 'standard',
+  'veo3-enhanced-continuity.md': 'enhanced',
+  'veo3-json-guidelines-plus.md': 'plus',
+  'veo3-enhanced-continuity-plus.md': 'enhanced',
+  'veo3-continuation-minimal.md': 'continuation'
+};
+
+async function templateExample(file) {
+  const markdown = await readFile(new URL(`../instructions/${file}`, import.meta.url), 'utf8');
+  const json = markdown.match(/```json\s*([\s\S]*?)```/)?.[1];
+  assert.ok(json, `${file} has a JSON example`);
+  return JSON.parse(json);
+}
+
+test('every format has a template', () => {
+  assert.deepEqual([...new Set(Object.values(TEMPLATES))].sort(), [...SEGMENT_FORMATS].sort());
+});
+
+for (const [file, format] of Object.entries(TEMPLATES)) {
+  test(`the example in ${file} passes the ${format} schema`, async () => {
+    const { valid, errors } = validateSegment(await templateExample(file), format);
+    assert.deepEqual(errors, []);
+    assert.equal(valid, true);
+  });
+}
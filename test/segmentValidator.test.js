@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectSegmentFormat, parseModelJson, summarizeValidation, validateSegment } from '../api/services/segmentValidator.js';
+
+const segment = () => ({
+  segment_info: { segment_number: 1, total_segments: 2, duration: '00:00-00:08' },
+  character_description: { physical: 'Woman in her 30s', clothing: 'Blue sweater', current_state: 'Smiling' },
+  scene_continuity: { environment: 'Bright kitchen', camera_position: 'Eye level', props_in_frame: 'Jar of cream' },
+  action_timeline: { dialogue: 'I love this cream.', synchronized_actions: { '0-4s': 'Holds the jar', '4-8s': 'Applies it' } }
+});
+
+test('a complete standard segment is valid', () => {
+  assert.deepEqual(validateSegment(segment(), 'standard'), { valid: true, errors: [] });
+});
+
+test('missing and malformed fields are reported by path', () => {
+  const broken = segment();
+  delete broken.character_description.clothing;
+  broken.segment_info.duration = '8 seconds';
+  broken.action_timeline.synchronized_actions = { first: 'Holds the jar' };
+
+  const { valid, errors } = validateSegment(broken, 'standard');
+  assert.equal(valid, false);
+  const paths = errors.map(error => error.path);
+  assert.ok(paths.includes('/character_description/clothing'));
+  assert.ok(paths.includes('/segment_info/duration'));
+  assert.ok(paths.includes('/action_timeline/synchronized_actions'));
+});
+
+test('unknown formats are rejected', () => {
+  assert.throws(() => validateSegment(segment(), 'fancy'), { code: 'invalid_format' });
+});
+
+test('parseModelJson reads fenced JSON and reports truncated output', () => {
+  assert.deepEqual(parseModelJson('Here:\n```json\n{"a":1}\n```'), { a: 1 });
+  assert.throws(() => parseModelJson('{"a":', 'Segment 1'), { status: 502, code: 'invalid_model_output' });
+});
+
+test('detectSegmentFormat', () => {
+  assert.equal(detectSegmentFormat(segment()), 'standard');
+  assert.equal(detectSegmentFormat({ segment_info: { continuity_markers: {} } }), 'enhanced');
+  assert.equal(detectSegmentFormat({ segment_info: { continuation: true } }), 'continuation');
+});
+
+test('summarizeValidation numbers the segments', () => {
+  const summary = summarizeValidation([{ valid: true, repaired: false }, { valid: false, repaired: true }]);
+  assert.equal(summary.valid, false);
+  assert.equal(summary.repaired, 1);
+  assert.deepEqual(summary.segments.map(report => report.segmentNumber), [1, 2]);
+});
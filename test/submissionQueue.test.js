@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SubmissionQueue } from '../api/services/submissionQueue.js';
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+test('submissions past the concurrency limit wait and report it once', async () => {
+  const queue = new SubmissionQueue({ concurrency: 1 });
+  const first = deferred();
+  const waits = [];
+
+  const a = queue.enqueue('a', () => first.promise);
+  const b = queue.enqueue('b', async () => 'b done', { onWait: wait => waits.push(wait) });
+  queue.enqueue('c', async () => 'c done', { onWait: () => {} });
+
+  assert.equal(queue.positionOf('a'), 0);
+  assert.equal(queue.positionOf('b'), 1);
+  assert.equal(queue.positionOf('c'), 2);
+  assert.deepEqual(waits, [{ reason: 'concurrency', retryAt: null, attempt: 0, error: null }]);
+
+  first.resolve('a done');
+  assert.equal(await a, 'a done');
+  assert.equal(await b, 'b done');
+  assert.equal(waits.length, 1);
+});
+
+test('retryable errors are retried, others reject', async () => {
+  const queue = new SubmissionQueue({ maxAttempts: 2, baseDelayMs: 1, isRetryable: error => error.message.includes('429') });
+  let calls = 0;
+  const result = await queue.enqueue('quota', async () => {
+    calls++;
+    if (calls === 1) throw new Error('429 RESOURCE_EXHAUSTED');
+    return 'ok';
+  });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 2);
+
+  await assert.rejects(queue.enqueue('bad', async () => { throw new Error('400 invalid'); }), /400 invalid/);
+});
+
+test('a waiting submission can be cancelled', async () => {
+  const queue = new SubmissionQueue({ concurrency: 1 });
+  const first = deferred();
+  queue.enqueue('a', () => first.promise);
+  const waiting = queue.enqueue('b', async () => 'never', { onWait: () => {} });
+
+  assert.equal(queue.cancel('b', new Error('cancelled')), true);
+  assert.equal(queue.cancel('a', new Error('cancelled')), false);
+  await assert.rejects(waiting, /cancelled/);
+  first.resolve();
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFilterGraph, getContinuityHints, planBoundaries } from '../api/services/videoStitcher.js';
+
+const hints = (location, endPosition = null) => ({ location, startPosition: null, endPosition, transitionPrep: null });
+
+test('planned hand-overs crossfade, location changes and unplanned ones cut', () => {
+  const boundaries = planBoundaries([
+    hints('Kitchen', 'Leaning on the counter'),
+    hints('Kitchen', 'Walking out'),
+    hints('Garden', null),
+    hints('Garden')
+  ]);
+
+  assert.deepEqual(boundaries.map(boundary => [boundary.transition, boundary.overlap, boundary.reason]), [
+    ['crossfade', 0.5, 'continuity_markers'],
+    ['cut', 0, 'location_change'],
+    ['cut', 0, 'no_continuity_markers']
+  ]);
+  assert.deepEqual(boundaries.map(boundary => [boundary.fromSegment, boundary.toSegment]), [[1, 2], [2, 3], [3, 4]]);
+});
+
+test('overrides and the overlap are clamped', () => {
+  const [first, second] = planBoundaries([hints(null, 'Smiling'), hints(null, 'Smiling'), hints(null)], {
+    overlapSeconds: 10,
+    boundaries: [undefined, { overlap: 1, trimEnd: -3, trimStart: 0.25 }]
+  });
+
+  assert.equal(first.overlap, 2);
+  assert.deepEqual(second, { fromSegment: 2, toSegment: 3, transition: 'crossfade', overlap: 1, trimEnd: 0, trimStart: 0.25, reason: 'override' });
+});
+
+test('continuity hints come from the segment fields', () => {
+  assert.deepEqual(getContinuityHints({
+    segment_info: { location: 'Kitchen', continuity_markers: { start_position: 'Seated', end_position: 'Standing' } },
+    scene_continuity: { transitions: 'Turns to the window' }
+  }), { location: 'Kitchen', startPosition: 'Seated', endPosition: 'Standing', transitionPrep: 'Turns to the window' });
+});
+
+test('the filter graph crossfades and concatenates', () => {
+  const clips = [{ duration: 8 }, { duration: 8 }, { duration: 8 }];
+  const boundaries = planBoundaries([hints(null, 'Smiling'), hints(null), hints(null)]);
+  const graph = buildFilterGraph(clips, boundaries, true);
+
+  assert.match(graph.filter, /\[v0\]\[v1\]xfade=transition=fade:duration=0\.500:offset=7\.500\[vx1\]/);
+  assert.match(graph.filter, /\[vx1\]\[v2\]concat=n=2:v=1:a=0\[vx2\]/);
+  assert.equal(graph.duration, 23.5);
+  assert.deepEqual([graph.videoLabel, graph.audioLabel], ['vx2', 'ax2']);
+});
+
+test('a trim that leaves nothing is rejected', () => {
+  assert.throws(() => buildFilterGraph([{ duration: 2 }, { duration: 8 }], [{ overlap: 0, trimEnd: 2, trimStart: 0 }], false), { code: 'invalid_trim' });
+});
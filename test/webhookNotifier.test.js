@@ -0,0 +1,41 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { parseCallback, signPayload } from '../api/services/webhookNotifier.js';
+
+afterEach(() => {
+  delete process.env.WEBHOOK_ALLOWED_HOSTS;
+});
+
+test('callbacks to loopback, private, link-local and mapped addresses are rejected', async () => {
+  for (const url of [
+    'http://127.0.0.1/hook',
+    'http://10.1.2.3/hook',
+    'http://192.168.0.10:8080/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook'
+  ]) {
+    await assert.rejects(parseCallback(url), { status: 400, code: 'invalid_callback' }, url);
+  }
+});
+
+test('public addresses and other schemes', async () => {
+  assert.deepEqual(await parseCallback('https://93.184.216.34/hook', 'secret'), { url: 'https://93.184.216.34/hook', secret: 'secret' });
+  await assert.rejects(parseCallback('ftp://93.184.216.34/hook'), /http or https/);
+  await assert.rejects(parseCallback('not a url'), /absolute URL/);
+  assert.equal(await parseCallback(undefined), null);
+});
+
+test('WEBHOOK_ALLOWED_HOSTS admits only the listed hosts, private ones included', async () => {
+  process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost, hooks.example.com';
+  assert.equal((await parseCallback('http://localhost:3000/hook')).url, 'http://localhost:3000/hook');
+  await assert.rejects(parseCallback('https://93.184.216.34/hook'), /not in WEBHOOK_ALLOWED_HOSTS/);
+});
+
+test('signatures are an HMAC of the timestamp and body', () => {
+  const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+  assert.equal(signPayload('secret', '1700000000', '{"a":1}'), expected);
+});